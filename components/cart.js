@@ -0,0 +1,203 @@
+import { useContext, createContext, useMemo, useState, useRef, useCallback, useEffect } from 'react'
+
+const NO_CONTEXT = Symbol('no-context')
+const CartContext = createContext(NO_CONTEXT)
+
+// The key we use to persist the cart in localStorage.
+const STORAGE_KEY = 'cart'
+
+const EMPTY_CART = { id: null, items: [] }
+
+function generateItemId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+function readStoredCart() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+
+    if (stored !== null && Array.isArray(stored.items)) {
+      return stored
+    }
+  } catch (error) {
+    // The stored value is corrupt (or localStorage is not available), let's start from scratch.
+  }
+
+  return EMPTY_CART
+}
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+  })
+  const body = await response.json()
+
+  if (!response.ok) {
+    throw Object.assign(new Error(body.error), {
+      status: response.status,
+      details: body.details || [],
+    })
+  }
+
+  return body
+}
+
+/**
+ * Keeps track of the cart of the customer. The cart is persisted in localStorage so that it
+ * survives a reload, and synced to the `/api/cart` routes so that the server can recalculate the
+ * prices (and so that we could pick it up on another device in the future).
+ */
+export function CartProvider(props) {
+  const { children } = props
+
+  // We can't read localStorage while rendering on the server, so we start with an empty cart and
+  // load the stored cart once we are mounted.
+  const [cart, setCart] = useState(EMPTY_CART)
+  const [isLoaded, setIsLoaded] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Only changes made by the customer have to be sent to the server. The response of the server
+  // updates the cart as well, but that shouldn't result in another request.
+  const needsSync = useRef(false)
+
+  // Every sync gets a number, this way we can ignore responses of requests that are outdated.
+  const latestSync = useRef(0)
+
+  // The cart is created on the server the first time we need it. We keep the pending request, this
+  // way a few quick changes before the first sync resolves end up in the same cart, instead of each
+  // creating a cart of their own.
+  const pendingCartId = useRef(null)
+
+  const createServerCart = useCallback(() => {
+    if (pendingCartId.current === null) {
+      const pending = request('/api/cart', { method: 'POST' }).then(({ id }) => id)
+
+      // A failed request shouldn't block the next attempt.
+      pending.catch(() => {
+        if (pendingCartId.current === pending) {
+          pendingCartId.current = null
+        }
+      })
+
+      pendingCartId.current = pending
+    }
+
+    return pendingCartId.current
+  }, [])
+
+  useEffect(() => {
+    setCart(readStoredCart())
+    setIsLoaded(true)
+  }, [])
+
+  useEffect(() => {
+    // Don't overwrite the stored cart with the empty cart before we even loaded it.
+    if (!isLoaded) {
+      return
+    }
+
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(cart))
+
+    if (!needsSync.current) {
+      return
+    }
+
+    needsSync.current = false
+    const sync = ++latestSync.current
+
+    async function syncWithServer() {
+      function save(id) {
+        return request(`/api/cart/${id}`, {
+          method: 'PUT',
+          body: JSON.stringify({ items: cart.items }),
+        })
+      }
+
+      try {
+        // Lazily create the cart on the server the first time we need it. The stored cart could
+        // also be gone on the server (e.g.: it expired), in that case we start a new one.
+        const id = cart.id === null ? await createServerCart() : cart.id
+        const saved = await save(id).catch(async (error) => {
+          if (error.status === 404) {
+            pendingCartId.current = null
+            return save(await createServerCart())
+          }
+
+          throw error
+        })
+
+        if (sync === latestSync.current) {
+          setError(null)
+          setCart(saved)
+        }
+      } catch (error) {
+        if (sync === latestSync.current) {
+          setError(error)
+        }
+      }
+    }
+
+    syncWithServer()
+  }, [cart, isLoaded, createServerCart])
+
+  // Every change made by the customer goes through here.
+  const update = useCallback(
+    (updater) => {
+      needsSync.current = true
+      setCart((cart) => ({ ...cart, items: updater(cart.items) }))
+    },
+    [setCart]
+  )
+
+  // The price is a snapshot calculated in the browser, the server will replace it with a price it
+  // calculated itself once the cart is synced.
+  const addItem = useCallback(
+    (productId, selectedOptions, price) => {
+      update((items) => [
+        ...items,
+        { id: generateItemId(), productId, selectedOptions, quantity: 1, price, errors: [] },
+      ])
+    },
+    [update]
+  )
+
+  const updateItem = useCallback(
+    (itemId, changes) => {
+      update((items) => items.map((item) => (item.id === itemId ? { ...item, ...changes } : item)))
+    },
+    [update]
+  )
+
+  const removeItem = useCallback(
+    (itemId) => {
+      update((items) => items.filter((item) => item.id !== itemId))
+    },
+    [update]
+  )
+
+  const contextBag = useMemo(
+    () => ({
+      items: cart.items,
+      itemCount: cart.items.reduce((total, item) => total + item.quantity, 0),
+      isLoaded,
+      error,
+      addItem,
+      updateItem,
+      removeItem,
+    }),
+    [cart, isLoaded, error, addItem, updateItem, removeItem]
+  )
+
+  return <CartContext.Provider value={contextBag}>{children}</CartContext.Provider>
+}
+
+export function useCart() {
+  const context = useContext(CartContext)
+
+  if (context === NO_CONTEXT) {
+    throw new Error('Used useCart() without a <CartProvider />')
+  }
+
+  return context
+}
@@ -0,0 +1,129 @@
+import { useRef, useEffect } from 'react'
+
+// Helpers shared by the components that manage a collection of options: the <OptionGroup /> (see
+// `components/options.js`) and the <Listbox /> (see `components/listbox.js`). Both register their
+// options as a "bag" of refs: `{ value, optionId, element, disabled, textValue }`.
+
+// Emulating an enum, to indicate in which direction we are moving through the list of options.
+export const Direction = { Previous: -1, Next: 1 }
+
+// This allows us to keep the ref the same object, but the `current` value inside will update with
+// the new value all the time.
+export function useMemoizedFunctionRef(fn) {
+  const memoizedFunctionRef = useRef(fn)
+  useEffect(() => {
+    memoizedFunctionRef.current = fn
+  }, [fn])
+
+  return memoizedFunctionRef
+}
+
+// Find the closest item in the list that passes the predicate, starting from (but excluding) the
+// `fromIndex` and moving in the given direction. We wrap around at the edges, just like the arrow
+// keys did before. If none of the items pass the predicate, `undefined` is returned.
+//
+// A `fromIndex` of -1 means that we start outside of the list (e.g.: nothing is selected yet), so
+// moving backwards starts at the last item instead of the one before it.
+export function findInDirection(list, fromIndex, direction, predicate) {
+  if (fromIndex === -1 && direction === Direction.Previous) {
+    fromIndex = list.length
+  }
+
+  for (let offset = 1; offset <= list.length; offset++) {
+    // The double modulo ensures that we also end up with a positive index when moving backwards.
+    const index = (((fromIndex + direction * offset) % list.length) + list.length) % list.length
+
+    if (predicate(list[index])) {
+      return list[index]
+    }
+  }
+
+  return undefined
+}
+
+// Disabled options are skipped when navigating with the keyboard.
+export function isEnabled(bag) {
+  return !bag.disabled.current
+}
+
+// The text we use for typeahead. An explicit `textValue` wins, otherwise we fallback to the text
+// that is rendered inside of the option.
+function textValueOf(bag) {
+  if (bag.textValue.current !== undefined) {
+    return bag.textValue.current
+  }
+
+  if (bag.element.current) {
+    return bag.element.current.textContent
+  }
+
+  return ''
+}
+
+// Find the next enabled option of which the text starts with the query. When the query is a single
+// character we start searching _after_ the current option, this way typing the same character
+// multiple times cycles through all the options that start with that character. For longer queries
+// the current option is a valid match as well (e.g.: you typed "p", then "pr").
+export function findMatching(list, currentIndex, query) {
+  const fromIndex = query.length === 1 || currentIndex === -1 ? currentIndex : currentIndex - 1
+
+  return findInDirection(
+    list,
+    fromIndex,
+    Direction.Next,
+    (bag) => isEnabled(bag) && textValueOf(bag).toLowerCase().startsWith(query.toLowerCase())
+  )
+}
+
+// How long we wait before the typeahead query is cleared again.
+const TYPEAHEAD_TIMEOUT = 500
+
+/**
+ * Collects the characters that are typed in quick succession, and calls `onSearch` with the query.
+ * Typing the same character multiple times ("ppp") searches for that single character, this way
+ * you can cycle through the options that start with that character instead of searching for an
+ * option that starts with "ppp".
+ */
+export function useTypeahead(onSearch) {
+  // We don't need to re-render when the query changes, so a ref is good enough.
+  const typeahead = useRef({ query: '', timeout: null })
+
+  // Let's not leave a timer behind when we unmount.
+  useEffect(() => () => clearTimeout(typeahead.current.timeout), [typeahead])
+
+  return function handleTypeahead(character) {
+    clearTimeout(typeahead.current.timeout)
+    typeahead.current.query += character.toLowerCase()
+    typeahead.current.timeout = setTimeout(() => {
+      typeahead.current.query = ''
+    }, TYPEAHEAD_TIMEOUT)
+
+    const { query } = typeahead.current
+    const isRepeated = query.split('').every((character) => character === query[0])
+
+    onSearch(isRepeated ? query[0] : query)
+  }
+}
+
+// A single printable character, while ignoring keyboard shortcuts (e.g.: cmd+r). The Space key is
+// reserved for selecting the focused option.
+export function isTypeaheadKey(event) {
+  return (
+    event.key.length === 1 && event.key !== ' ' && !event.ctrlKey && !event.metaKey && !event.altKey
+  )
+}
+
+// The input that takes part in the native form validation is invisible, but it can't be
+// `display: none` (or `type="hidden"`), otherwise the browser doesn't validate it.
+export const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  border: 0,
+  opacity: 0,
+  pointerEvents: 'none',
+}
@@ -0,0 +1,1100 @@
+import { useState, useEffect } from 'react'
+import Head from 'next/head'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { OptionGroup, Options, Option, OptionGroupLabel } from './options'
+import { Listbox, ListboxLabel, ListboxButton, ListboxOptions, ListboxOption } from './listbox'
+import { match, lazy } from '../utils/match'
+import { calculatePrice } from '../utils/pricing'
+import { findConflicts, resolveConfiguration } from '../utils/constraints'
+import {
+  parseConfiguration,
+  serializeConfiguration,
+  createCategoryWithOptionsLookup,
+} from '../utils/configuration'
+import { imagesFor, bestImageIdFor } from '../utils/imagery'
+import { serializeComparison } from '../utils/comparison'
+import { specificationsFor } from '../utils/specifications'
+import { toggleOption, selectionTitle, isOptionUnavailable } from '../utils/selection'
+import { COUNTRIES } from '../utils/destinations'
+import { financingOptionsFor } from '../utils/financing'
+import { useMoney } from './money'
+import { Gallery } from './gallery'
+import { useCart } from './cart'
+import { FinancingDialog } from './financing'
+import { OrderSummaryDialog } from './order-summary'
+import { variants } from './flags'
+import { classNames } from '../utils/class-names'
+
+// Emulating an enum. The values could be anything e.g.: numbers (default in TypeScript), strings
+// (might be easier for debugging reasons), symbols (to ensure that the consumer uses the actual
+// enum instead of a hardcoded value). We use strings here because these values are stored in the
+// catalog (`data/products.json`).
+export const Orientation = { Horizontal: 'horizontal', Vertical: 'vertical' }
+
+// The direction of the grid of cards per orientation.
+const orientationClassNames = {
+  [Orientation.Horizontal]: 'sm:grid-flow-col',
+  [Orientation.Vertical]: 'sm:grid-flow-row',
+}
+
+// Same idea, this is how the options of a category are rendered. Cards show all the details of
+// every option, a dropdown is more compact for categories with a lot of options.
+export const Presentation = { Cards: 'cards', Dropdown: 'dropdown' }
+
+/**
+ * The configurator for a single product. The product itself comes from the catalog (see
+ * `utils/catalog.js`), this means that we can use the same configurator for every product we sell.
+ *
+ * The configurator can also be used to change an existing record (e.g.: an order), by passing an
+ * `editing` object: `{ label, selectedOptions, total, promotion, url }`. It starts from the stored
+ * configuration, shows what changed compared to it, and submitting sends a PUT request to the `url`
+ * instead of placing a new order.
+ */
+export function Configurator(props) {
+  const { product, editing } = props
+
+  // The prices in the catalog are in the base currency, `formatMoney` converts them to the currency
+  // of the customer.
+  const { formatMoney, currency, currencies, changeCurrency } = useMoney()
+
+  // The configuration lives in the URL as well, this way a reload doesn't lose the configuration
+  // and you can share a link to a specific build. The query is also available while rendering on
+  // the server, so the correct configuration is rendered right away.
+  const router = useRouter()
+  const [initialConfiguration] = useState(() =>
+    parseConfiguration(
+      product,
+      // When editing, we start from the stored configuration. The URL still wins, this way a reload
+      // doesn't lose the changes that were made so far.
+      editing === null ? router.query : { ...editing.selectedOptions, ...router.query }
+    )
+  )
+
+  const [activeImageId, setActiveImageId] = useState(initialConfiguration.activeImageId)
+
+  // A lookup table of the options per category, e.g.: `categoryWithOptionsLookup['form-factor']`.
+  const categoryWithOptionsLookup = createCategoryWithOptionsLookup(product)
+
+  // A lookup table for the selected option per category.
+  const [selectedOptions, setSelectedOptions] = useState(initialConfiguration.selectedOptions)
+
+  // Keep the URL in sync with the configuration. We use `replace` instead of `push` because we
+  // don't want every click to end up in the history of the browser. A shallow update ensures that
+  // we don't fetch the product again.
+  useEffect(() => {
+    const query = serializeConfiguration({ selectedOptions, activeImageId })
+    const [path] = router.asPath.split('?')
+
+    router.replace(
+      // The `router.query` contains the parameters of dynamic routes (e.g.: the product ID).
+      { pathname: router.pathname, query: { ...router.query, ...query } },
+      { pathname: path, query },
+      { shallow: true }
+    )
+  }, [selectedOptions, activeImageId])
+
+  // When a change makes the configuration invalid, the constraint engine corrects the other
+  // categories. We keep track of these corrections so that we can tell the customer what happened.
+  const [corrections, setCorrections] = useState([])
+
+  function changeOption(category, optionId) {
+    const resolution = resolveConfiguration(
+      product,
+      { ...selectedOptions, [category.id]: optionId },
+      category.id
+    )
+
+    setCorrections(resolution.corrections)
+    setSelectedOptions(resolution.selectedOptions)
+
+    // Show a photo of what the customer just picked (if we have one).
+    setActiveImageId((activeImageId) =>
+      bestImageIdFor(product, resolution.selectedOptions, activeImageId)
+    )
+  }
+
+  // Only the images that fit the selected options, the best matches first.
+  const visibleImages = imagesFor(product, selectedOptions)
+
+  // The dimensions, weight, outputs, ... of the selected options.
+  const specifications = specificationsFor(product, selectedOptions)
+
+  // The promotion of a promo code that the server validated. When editing, the promotion of the
+  // stored record keeps applying, it can't be changed.
+  const [promotion, setPromotion] = useState(editing === null ? null : editing.promotion)
+  const [promoCode, setPromoCode] = useState('')
+  const [promoCodeError, setPromoCodeError] = useState(null)
+
+  // Sum the base price, all the selected options and the discounts so that we can update the price.
+  // This is the same calculation that the server does when an order is placed.
+  const price = calculatePrice(product, selectedOptions, { promotion })
+  const totalPrice = price.total
+
+  // The price without any bundle or discount, so that we can show how much the customer saves.
+  const listPrice = price.lineItems
+    .filter((lineItem) => lineItem.price > 0)
+    .reduce((total, lineItem) => total + lineItem.price, 0)
+  const savings = listPrice - totalPrice
+
+  // We want to display the price of an option relative to the selected option. This means that a
+  // cheaper option will show a negative value to indicate that you can "save" some money if you
+  // want. We compare the total prices instead of the option prices, this way the bundles and
+  // discounts that the option would (un)lock are included.
+  function relativePriceOf(category, option) {
+    // In a `multiple` category the option is added (or removed) instead of replacing the others.
+    const value = category.multiple
+      ? toggleOption(selectedOptions[category.id], option.id)
+      : option.id
+
+    return (
+      calculatePrice(product, { ...selectedOptions, [category.id]: value }, { promotion }).total -
+      totalPrice
+    )
+  }
+
+  // The stored configuration and the price we stored for it, so that we can show what changes. We
+  // use the stored price instead of recalculating it, the catalog could have changed since (e.g.: a
+  // stored option is no longer available). Once the changes are saved, they become the baseline.
+  const [saved, setSaved] = useState(() =>
+    editing === null ? null : { selectedOptions: editing.selectedOptions, total: editing.total }
+  )
+
+  // Where the order would be shipped to, so that we can estimate the tax and the shipping costs.
+  // The rate tables live on the server, so the estimate comes from the API.
+  const [destination, setDestination] = useState({ country: '', region: '', postalCode: '' })
+  const [estimate, setEstimate] = useState(null)
+  const [estimateError, setEstimateError] = useState(null)
+
+  // A destination is entered once we have a country and a postal code, the region is optional.
+  const hasDestination = destination.country !== '' && destination.postalCode.trim() !== ''
+
+  useEffect(() => {
+    if (editing !== null || !hasDestination) {
+      setEstimate(null)
+      setEstimateError(null)
+      return
+    }
+
+    // Changing the options or typing a postal code changes the estimate. We wait until the customer
+    // is done, and ignore responses that arrive after a newer change.
+    let isCurrent = true
+    const timeout = setTimeout(async () => {
+      let response, result
+      try {
+        response = await fetch('/api/estimates', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            productId: product.id,
+            selectedOptions,
+            promoCode: promotion === null ? null : promotion.code,
+            destination,
+          }),
+        })
+        result = await response.json()
+      } catch (error) {
+        if (isCurrent) {
+          setEstimate(null)
+          setEstimateError('We could not estimate the costs, please try again.')
+        }
+        return
+      }
+
+      if (!isCurrent) {
+        return
+      }
+
+      setEstimate(response.ok ? result : null)
+      setEstimateError(response.ok ? null : result.error)
+    }, 300)
+
+    return () => {
+      isCurrent = false
+      clearTimeout(timeout)
+    }
+  }, [editing, hasDestination, product.id, selectedOptions, promotion, destination])
+
+  // While a new estimate is on its way, the previous one is for a different price. We'd rather show
+  // no breakdown than a wrong one.
+  const currentEstimate = estimate !== null && estimate.subtotal === totalPrice ? estimate : null
+
+  // The financing plans for the current price, the longest term has the lowest monthly payment.
+  const financingOptions = financingOptionsFor(totalPrice)
+  const lowestMonthlyPayment =
+    financingOptions.length > 0
+      ? financingOptions[financingOptions.length - 1].monthlyPayment
+      : null
+  const [isFinancingOpen, setIsFinancingOpen] = useState(false)
+
+  const { addItem, itemCount } = useCart()
+
+  async function applyPromoCode() {
+    if (promoCode.trim() === '') {
+      setPromotion(null)
+      setPromoCodeError('Please enter a promo code.')
+      return
+    }
+
+    let response, result
+    try {
+      response = await fetch(
+        `/api/promo-codes/${encodeURIComponent(promoCode)}?productId=${product.id}`
+      )
+      result = await response.json()
+    } catch (error) {
+      // Just like when placing the order, we tell the customer instead of silently doing nothing.
+      setPromotion(null)
+      setPromoCodeError('We could not check the promo code, please try again.')
+      return
+    }
+
+    if (!response.ok) {
+      setPromotion(null)
+      setPromoCodeError(result.error)
+      return
+    }
+
+    setPromotion(result)
+    setPromoCodeError(null)
+  }
+
+  // Without JavaScript, the API route sends a refused order back to this page with the reason in
+  // the URL (see `pages/api/orders/index.js`). The URL is replaced with the configuration once we
+  // are mounted, so we keep the reason until the next submit.
+  const [formPostError, setFormPostError] = useState(() =>
+    router.query.error === undefined
+      ? null
+      : { error: String(router.query.error), details: [].concat(router.query.details || []) }
+  )
+
+  // Prevent placing the same order twice by pressing the button multiple times.
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // The result of the last submit, see the <OrderSummaryDialog />.
+  const [submission, setSubmission] = useState(null)
+
+  return (
+    <div className="flex flex-col min-h-screen font-sans antialiased">
+      <Head>
+        <link rel="stylesheet" href="https://rsms.me/inter/inter.css" />
+        <title>{product.name}</title>
+      </Head>
+
+      <form
+        // Without JavaScript, the browser posts the form to the API route itself. This only works
+        // for new orders, a form can't send a PUT request.
+        action={editing === null ? '/api/orders' : undefined}
+        method="post"
+        onSubmit={async (event) => {
+          event.preventDefault()
+
+          if (isSubmitting) {
+            return
+          }
+
+          setIsSubmitting(true)
+          setFormPostError(null)
+
+          let submission
+          try {
+            // We only send the IDs of the selected options, the server looks up the prices itself.
+            // When editing, we update the existing record instead of creating a new one.
+            const response = await fetch(editing === null ? '/api/orders' : editing.url, {
+              method: editing === null ? 'POST' : 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                productId: product.id,
+                selectedOptions,
+                currency,
+                promoCode: promotion === null ? null : promotion.code,
+              }),
+            })
+            const result = await response.json()
+
+            submission = response.ok ? { order: result } : result
+
+            if (response.ok && editing !== null) {
+              setSaved({ selectedOptions: result.selectedOptions, total: result.total })
+            }
+          } catch (error) {
+            // The request didn't reach the server (e.g.: the customer is offline), or the server
+            // responded with something that isn't JSON (e.g.: a crash). Either way, we tell the
+            // customer instead of silently doing nothing.
+            submission = {
+              error: 'Something went wrong, please check your connection and try again.',
+            }
+          } finally {
+            setIsSubmitting(false)
+          }
+
+          // The summary (or the reason why the server refused the order) is shown in a dialog. We
+          // only open it once the submit button is enabled again, otherwise the dialog can't
+          // restore the focus to it.
+          setSubmission(submission)
+        }}
+      >
+        {/* The selected options have hidden inputs of their own, see the `name` prop of the
+            <OptionGroup />. */}
+        <input type="hidden" name="productId" value={product.id} />
+        <input type="hidden" name="currency" value={currency} />
+        {promotion !== null && <input type="hidden" name="promoCode" value={promotion.code} />}
+
+        <div className="sm:py-2">
+          <div className="flex-1 px-4 py-12 mx-auto md:max-w-2xl lg:max-w-5xl xl:max-w-7xl lg:px-8 sm:px-12 sm:py-16">
+            <div className="flex items-start justify-between space-x-6" role="banner">
+              <div className="space-y-4 sm:space-y-3">
+                <h1 className="text-4xl font-extrabold leading-10 tracking-tight text-gray-900">
+                  Get your {product.name}
+                </h1>
+
+                <h2 className="text-xl leading-7 text-gray-500">{product.tagline}</h2>
+              </div>
+
+              <div className="flex items-center flex-shrink-0 space-x-6">
+                <label className="flex items-center space-x-2 text-sm leading-5 text-gray-500">
+                  <span>Currency</span>
+                  <select
+                    className="form-select"
+                    value={currency}
+                    onChange={(event) => changeCurrency(event.target.value)}
+                  >
+                    {currencies.map((currency) => (
+                      <option key={currency} value={currency}>
+                        {currency}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                <Link
+                  href="/compare"
+                  as={{
+                    pathname: '/compare',
+                    query: serializeComparison([{ productId: product.id, selectedOptions }]),
+                  }}
+                >
+                  <a className="p-1 -m-1 text-sm font-medium leading-5 text-gray-900 underline rounded focus:outline-none focus:shadow-outline-gray">
+                    Compare
+                  </a>
+                </Link>
+
+                <Link href="/cart">
+                  <a className="p-1 -m-1 text-sm font-medium leading-5 text-gray-900 underline rounded focus:outline-none focus:shadow-outline-gray">
+                    Cart ({itemCount})
+                  </a>
+                </Link>
+              </div>
+            </div>
+
+            <hr className="mt-5 border-gray-300 mb-9 border-px lg:mt-6 lg:mb-12" />
+
+            {formPostError !== null && (
+              <div role="alert" className="text-sm leading-5 text-red-600 mb-9 lg:mb-12">
+                <p>{formPostError.error}</p>
+                {formPostError.details.length > 0 && (
+                  <ul className="list-disc list-inside">
+                    {formPostError.details.map((detail) => (
+                      <li key={detail}>{detail}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <main className="grid grid-cols-1 lg:grid-cols-2 gap-9">
+              <div>
+                <div className="sticky top-8">
+                  <Gallery
+                    images={visibleImages}
+                    activeImageId={activeImageId}
+                    onChange={setActiveImageId}
+                  />
+                </div>
+              </div>
+              <div className="space-y-6">
+                {/* Starting price */}
+                <div className="space-y-1">
+                  <div className="text-sm font-medium leading-5 text-gray-500">Starting at</div>
+                  <div className="text-5xl font-extrabold leading-none tracking-tight text-gray-900">
+                    {formatMoney(product.basePrice)}
+                  </div>
+                </div>
+
+                {/* Description */}
+                <div className="space-y-4">
+                  {/* The first paragraph is the "lead" paragraph, which is a bit more
+                      prominent. */}
+                  {product.description.map((paragraph, index) => (
+                    // The paragraphs don't have an ID and they are never re-arranged, so the index
+                    // is fine as a key here.
+                    <p
+                      key={index}
+                      className={classNames(
+                        index === 0 ? 'text-lg leading-6 text-gray-900' : 'leading-6 text-gray-500'
+                      )}
+                    >
+                      {paragraph}
+                    </p>
+                  ))}
+                </div>
+
+                <div className="pt-6">
+                  <div className="space-y-12">
+                    {/* The options */}
+                    {product.categoryOptions.map((category) => {
+                      const correction = corrections.find(
+                        (correction) => correction.categoryId === category.id
+                      )
+
+                      const correctionStatus = (
+                        // The live region is always rendered, this way screen readers will
+                        // announce the correction once it shows up.
+                        <div role="status" className="text-sm leading-5 text-gray-500">
+                          {correction !== undefined && (
+                            <>
+                              We changed the {category.title.toLowerCase()} to{' '}
+                              {selectionTitle(
+                                categoryWithOptionsLookup[category.id],
+                                correction.to
+                              )}
+                              . {correction.rule.message}
+                            </>
+                          )}
+                        </div>
+                      )
+
+                      // A dropdown can only hold a single value, a `multiple` category always
+                      // uses the cards.
+                      if (category.presentation === Presentation.Dropdown && !category.multiple) {
+                        return (
+                          <Listbox
+                            key={category.id}
+                            className="relative space-y-2"
+                            value={selectedOptions[category.id]}
+                            onChange={(optionId) => changeOption(category, optionId)}
+                            name={category.id}
+                            required
+                          >
+                            <ListboxLabel className="block text-lg font-medium leading-7 text-gray-900">
+                              {category.title}
+                            </ListboxLabel>
+
+                            <ListboxButton className="relative w-full py-3 pl-4 pr-10 text-sm leading-5 text-left text-gray-900 bg-white border border-gray-300 rounded-lg shadow-sm cursor-pointer focus:outline-none focus:shadow-outline-gray">
+                              {
+                                categoryWithOptionsLookup[category.id][selectedOptions[category.id]]
+                                  .title
+                              }
+                              <span className="absolute inset-y-0 right-0 flex items-center pr-3 text-gray-400 pointer-events-none">
+                                <svg fill="none" viewBox="0 0 20 20" className="w-5 h-5">
+                                  <path
+                                    d="M7 7l3-3 3 3m0 6l-3 3-3-3"
+                                    stroke="currentColor"
+                                    strokeWidth="1.5"
+                                    strokeLinecap="round"
+                                    strokeLinejoin="round"
+                                  />
+                                </svg>
+                              </span>
+                            </ListboxButton>
+
+                            <ListboxOptions className="absolute z-10 w-full py-1 overflow-auto bg-white rounded-lg shadow-lg max-h-60 focus:outline-none">
+                              {category.options.map((option) => {
+                                const { id, title } = option
+                                const unavailable = isOptionUnavailable(option, selectedOptions)
+                                const displayPrice = relativePriceOf(category, option)
+                                const conflicts = findConflicts(
+                                  product,
+                                  selectedOptions,
+                                  category.id,
+                                  id
+                                )
+
+                                return (
+                                  <ListboxOption
+                                    key={id}
+                                    value={id}
+                                    textValue={title}
+                                    disabled={unavailable}
+                                  >
+                                    {(state) => (
+                                      <div
+                                        className={variants(state, {
+                                          base:
+                                            'flex justify-between px-4 py-2 space-x-4 text-sm leading-5 cursor-pointer',
+                                          default: 'text-gray-900',
+                                          'default active': 'text-gray-900 bg-gray-100',
+                                          selected: 'font-medium text-gray-900',
+                                          'selected active':
+                                            'font-medium text-gray-900 bg-gray-100',
+                                          disabled: 'text-gray-400 cursor-not-allowed',
+                                        })}
+                                      >
+                                        <div className="space-y-1">
+                                          <div>{title}</div>
+
+                                          {unavailable && (
+                                            <div className="text-gray-500">
+                                              Currently out of stock
+                                            </div>
+                                          )}
+
+                                          {conflicts.map((rule) => (
+                                            <div key={rule.id} className="text-orange-600">
+                                              {rule.message}
+                                            </div>
+                                          ))}
+                                        </div>
+
+                                        <RelativePrice amount={displayPrice} />
+                                      </div>
+                                    )}
+                                  </ListboxOption>
+                                )
+                              })}
+                            </ListboxOptions>
+
+                            {correctionStatus}
+                          </Listbox>
+                        )
+                      }
+
+                      return (
+                        <OptionGroup
+                          key={category.id}
+                          className="space-y-2"
+                          active={selectedOptions[category.id]}
+                          // In `multiple` mode we receive the list of all the selected options.
+                          onChange={(value) => changeOption(category, value)}
+                          multiple={Boolean(category.multiple)}
+                          name={category.id}
+                          // The extras are optional, the customer doesn't have to pick any.
+                          required={!category.multiple}
+                        >
+                          <OptionGroupLabel className="text-lg font-medium leading-7 text-gray-900">
+                            {category.title}
+                          </OptionGroupLabel>
+
+                          <Options
+                            className={classNames(
+                              'focus:outline-none grid gap-4',
+                              match(category.preferredOrientation, orientationClassNames, {
+                                exhaustive: Orientation,
+                              })
+                            )}
+                          >
+                            {category.options.map((option) => {
+                              const { id, title, description } = option
+                              const unavailable = isOptionUnavailable(option, selectedOptions)
+
+                              const displayPrice = relativePriceOf(category, option)
+
+                              // The rules that would be violated when this option gets selected.
+                              // These options are still selectable, but selecting them will correct
+                              // the other categories.
+                              const conflicts = findConflicts(
+                                product,
+                                selectedOptions,
+                                category.id,
+                                // The same value the <OptionGroup /> will select, for a `multiple`
+                                // category the other selected options stay selected.
+                                category.multiple
+                                  ? toggleOption(selectedOptions[category.id], id)
+                                  : id
+                              )
+
+                              // We could abstract this to a <PricingOption /> component for
+                              // readability, but it's the only place it is used currently so not
+                              // going to bother with refactoring this for now.
+                              return (
+                                <Option
+                                  key={id}
+                                  value={id}
+                                  textValue={title}
+                                  // Out of stock (or backordered) options are still visible, but
+                                  // they can't be selected.
+                                  disabled={unavailable}
+                                  className="flex-1 rounded-lg shadow-sm cursor-pointer focus:outline-none"
+                                >
+                                  {/* No render prop needed here, the `option-*` variants come from
+                                      `tailwind/option-states.js`. The `border p-px` ->
+                                      `border-2 p-0` swap is explained in the README. */}
+                                  <div
+                                    className={classNames(
+                                      'transition duration-150 ease-in-out overflow-hidden rounded-lg h-full',
+                                      'border p-px option-selected:border-2 option-selected:p-0 option-selected:border-gray-700',
+                                      'option-focused:shadow-outline-gray',
+                                      'border-gray-300 option-active:border-gray-400',
+                                      'option-disabled:border-gray-200 option-disabled:opacity-50 option-disabled:cursor-not-allowed'
+                                    )}
+                                  >
+                                    <div className="flex justify-between h-full px-6 py-5">
+                                      <div className="space-y-2">
+                                        <div className="text-sm font-medium leading-5 text-gray-900">
+                                          {title}
+                                        </div>
+
+                                        {/* I have the habit to be explicit, therefore I used a `Boolean(value)` instead of the more magic `!!value`. */}
+                                        {Boolean(description) && (
+                                          <div className="text-sm leading-5 text-gray-500">
+                                            {description}
+                                          </div>
+                                        )}
+
+                                        {unavailable && (
+                                          <div className="text-sm leading-5 text-gray-500">
+                                            Currently out of stock
+                                          </div>
+                                        )}
+
+                                        {conflicts.map((rule) => (
+                                          <div
+                                            key={rule.id}
+                                            className="text-sm leading-5 text-orange-600"
+                                          >
+                                            {rule.message}
+                                          </div>
+                                        ))}
+                                      </div>
+
+                                      <RelativePrice amount={displayPrice} />
+                                    </div>
+                                  </div>
+                                </Option>
+                              )
+                            })}
+                          </Options>
+
+                          {correctionStatus}
+                        </OptionGroup>
+                      )
+                    })}
+
+                    {/* The promo code, the promotion of an existing record can't be changed. */}
+                    {editing === null && (
+                      <div className="space-y-2">
+                        <label
+                          htmlFor="promo-code"
+                          className="block text-lg font-medium leading-7 text-gray-900"
+                        >
+                          Promo code
+                        </label>
+                        <div className="flex space-x-4">
+                          <input
+                            id="promo-code"
+                            className="flex-1 form-input"
+                            value={promoCode}
+                            onChange={(event) => setPromoCode(event.target.value)}
+                            onKeyDown={(event) => {
+                              if (preventSubmitOnEnter(event)) {
+                                applyPromoCode()
+                              }
+                            }}
+                            aria-invalid={promoCodeError !== null}
+                            aria-describedby="promo-code-status"
+                          />
+                          <button
+                            type="button"
+                            onClick={applyPromoCode}
+                            className="flex-shrink-0 px-4 py-2 text-sm font-medium leading-5 text-gray-900 transition duration-150 ease-in-out bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:shadow-outline-gray"
+                          >
+                            Apply
+                          </button>
+                        </div>
+                        <div id="promo-code-status" role="status" className="text-sm leading-5">
+                          {promoCodeError !== null ? (
+                            <span className="text-red-600">{promoCodeError}</span>
+                          ) : (
+                            promotion !== null && (
+                              <span className="text-green-600">
+                                {promotion.code} applied: {promotion.title}
+                              </span>
+                            )
+                          )}
+                        </div>
+                      </div>
+                    )}
+
+                    {/* The destination, only used to estimate the tax and shipping costs. */}
+                    {editing === null && (
+                      <fieldset className="space-y-2">
+                        <legend className="text-lg font-medium leading-7 text-gray-900">
+                          Estimate tax & shipping
+                        </legend>
+                        <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                          <label className="block space-y-1 text-sm font-medium leading-5 text-gray-700">
+                            <span>Country</span>
+                            <select
+                              className="block w-full form-select"
+                              value={destination.country}
+                              onChange={(event) =>
+                                setDestination({ ...destination, country: event.target.value })
+                              }
+                            >
+                              <option value="">Select a country</option>
+                              {Object.entries(COUNTRIES).map(([code, name]) => (
+                                <option key={code} value={code}>
+                                  {name}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                          <label className="block space-y-1 text-sm font-medium leading-5 text-gray-700">
+                            <span>State / Province</span>
+                            <input
+                              className="block w-full form-input"
+                              value={destination.region}
+                              placeholder="e.g.: CA"
+                              onChange={(event) =>
+                                setDestination({ ...destination, region: event.target.value })
+                              }
+                              onKeyDown={preventSubmitOnEnter}
+                            />
+                          </label>
+                          <label className="block space-y-1 text-sm font-medium leading-5 text-gray-700">
+                            <span>Postal code</span>
+                            <input
+                              className="block w-full form-input"
+                              value={destination.postalCode}
+                              onChange={(event) =>
+                                setDestination({ ...destination, postalCode: event.target.value })
+                              }
+                              onKeyDown={preventSubmitOnEnter}
+                            />
+                          </label>
+                        </div>
+                        {estimateError !== null && (
+                          <div role="alert" className="text-sm leading-5 text-red-600">
+                            {estimateError}
+                          </div>
+                        )}
+                      </fieldset>
+                    )}
+
+                    {/* The specifications */}
+                    <div className="space-y-2">
+                      <div className="text-lg font-medium leading-7 text-gray-900">
+                        Specifications
+                      </div>
+                      <dl className="flex flex-col border-t border-b border-gray-200 divide-y divide-gray-200">
+                        {specifications.map((specification) => {
+                          return (
+                            <div
+                              key={specification.id}
+                              className="flex items-center justify-between py-4"
+                            >
+                              <dt className="text-sm font-medium leading-5 text-gray-900">
+                                {specification.key}
+                              </dt>
+                              {/* Buyers check the dimensions against their rack, so we make it
+                                  obvious when the selected options changed a value (and what it
+                                  was). */}
+                              {specification.isChanged ? (
+                                <dd className="space-x-2 text-sm leading-5">
+                                  <del className="text-gray-500">{specification.defaultValue}</del>
+                                  <ins className="px-1 -mx-1 font-medium text-gray-900 no-underline bg-yellow-100 rounded">
+                                    {specification.value}
+                                  </ins>
+                                </dd>
+                              ) : (
+                                <dd className="text-sm leading-5">{specification.value}</dd>
+                              )}
+                            </div>
+                          )
+                        })}
+                      </dl>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </main>
+          </div>
+        </div>
+
+        <footer className="sticky bottom-0 border-t border-gray-200 bg-gray-50">
+          <div className="px-4 py-6 mx-auto md:max-w-2xl lg:max-w-5xl xl:max-w-7xl lg:px-8 sm:px-12">
+            <div className="grid grid-cols-1 gap-8 sm:grid-cols-3 xl:grid-cols-4">
+              {editing === null ? (
+                <dl className="hidden grid-flow-row gap-4 lg:col-span-2 lg:gap-8 lg:grid-flow-col sm:grid">
+                  <div>
+                    <dt className="sr-only">Shipping</dt>
+                    <dd className="flex items-start space-x-3 text-sm leading-5">
+                      <svg
+                        fill="currentColor"
+                        viewBox="0 0 20 20"
+                        className="flex-shrink-0 w-5 h-5 text-gray-400"
+                      >
+                        <path
+                          d="M10 18a8 8 0 100-16 8 8 0 000 16zM4.332 8.027a6.012 6.012 0 011.912-2.706C6.512 5.73 6.974 6 7.5 6A1.5 1.5 0 019 7.5V8a2 2 0 004 0 2 2 0 011.523-1.943A5.977 5.977 0 0116 10c0 .34-.028.675-.083 1H15a2 2 0 00-2 2v2.197A5.973 5.973 0 0110 16v-2a2 2 0 00-2-2 2 2 0 01-2-2 2 2 0 00-1.668-1.973z"
+                          clipRule="evenodd"
+                          fillRule="evenodd"
+                        />
+                      </svg>
+
+                      <div className="space-y-1">
+                        <div className="font-medium text-gray-900">Shipping</div>
+                        <div className="hidden text-gray-500 lg:block">
+                          {/* The costs depend on the destination and the weight, so we only
+                              mention them once we have an estimate. */}
+                          {currentEstimate === null
+                            ? 'Enter your destination to estimate the shipping costs.'
+                            : currentEstimate.shipping === 0
+                            ? 'Free shipping to your destination.'
+                            : `${formatMoney(currentEstimate.shipping)} to your destination.`}
+                        </div>
+                      </div>
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="sr-only">Warranty</dt>
+                    <dd className="flex items-start space-x-3 text-sm leading-5">
+                      <svg
+                        fill="currentColor"
+                        viewBox="0 0 20 20"
+                        className="flex-shrink-0 w-5 h-5 text-gray-400"
+                      >
+                        <path
+                          d="M2.166 4.999A11.954 11.954 0 0010 1.944 11.954 11.954 0 0017.834 5c.11.65.166 1.32.166 2.001 0 5.225-3.34 9.67-8 11.317C5.34 16.67 2 12.225 2 7c0-.682.057-1.35.166-2.001zm11.541 3.708a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z"
+                          clipRule="evenodd"
+                          fillRule="evenodd"
+                        />
+                      </svg>
+
+                      <div className="space-y-1">
+                        <div className="font-medium text-gray-900">2 Year Warranty</div>
+                        <div className="hidden text-gray-500 lg:block">
+                          If anything goes wrong in the first two years, we'll replace it for free.
+                        </div>
+                      </div>
+                    </dd>
+                  </div>
+                </dl>
+              ) : (
+                <ChangesSummary
+                  label={editing.label}
+                  categories={product.categoryOptions}
+                  lookup={categoryWithOptionsLookup}
+                  originalOptions={saved.selectedOptions}
+                  selectedOptions={selectedOptions}
+                  priceDifference={totalPrice - saved.total}
+                />
+              )}
+              <div className="flex items-center justify-end space-x-6 sm:col-span-2 lg:col-span-1 xl:col-span-2">
+                <div className="flex flex-col space-y-1 text-right">
+                  <div className="text-3xl font-bold leading-9 tracking-tight text-gray-900">
+                    {/* The price without the bundles and discounts, so the customer sees what they
+                        save. */}
+                    {savings > 0 && currentEstimate === null && (
+                      <del className="mr-2 text-xl font-medium leading-7 text-gray-500">
+                        {formatMoney(listPrice)}
+                      </del>
+                    )}
+                    {formatMoney(currentEstimate === null ? totalPrice : currentEstimate.total)}
+                  </div>
+                  {currentEstimate !== null && (
+                    <dl className="flex justify-end space-x-3 text-sm leading-5 text-gray-500 whitespace-no-wrap">
+                      <div className="flex space-x-1">
+                        <dt>Subtotal</dt>
+                        <dd className="text-gray-900">{formatMoney(currentEstimate.subtotal)}</dd>
+                      </div>
+                      <div className="flex space-x-1">
+                        <dt>Tax ({currentEstimate.taxPercent}%)</dt>
+                        <dd className="text-gray-900">{formatMoney(currentEstimate.tax)}</dd>
+                      </div>
+                      <div className="flex space-x-1">
+                        <dt>Shipping</dt>
+                        <dd className="text-gray-900">
+                          {currentEstimate.shipping === 0
+                            ? 'Free'
+                            : formatMoney(currentEstimate.shipping)}
+                        </dd>
+                      </div>
+                    </dl>
+                  )}
+                  {savings > 0 && (
+                    <div
+                      className="text-sm leading-5 text-green-600"
+                      title={[
+                        ...price.lineItems.filter((lineItem) => lineItem.price < 0),
+                        ...price.discounts,
+                      ]
+                        .map((discount) => discount.title)
+                        .join(', ')}
+                    >
+                      You save {formatMoney(savings)}
+                    </div>
+                  )}
+                  {/* Financing is not available for small amounts. */}
+                  {lowestMonthlyPayment !== null && (
+                    <div className="hidden text-sm leading-5 text-gray-500 whitespace-no-wrap sm:block">
+                      From {formatMoney(lowestMonthlyPayment)}/mo with financing.{' '}
+                      <button
+                        type="button"
+                        onClick={() => setIsFinancingOpen(true)}
+                        aria-haspopup="dialog"
+                        // Neat little trick here, a padding and a negative margin of the same size
+                        // ensure that the "normal" state looks good (no extra space), and that the
+                        // focused state also looks good (the outline is not squished to the text)!
+                        className="p-1 -m-1 underline rounded focus:outline-none focus:shadow-outline-gray"
+                      >
+                        Learn more
+                      </button>
+                    </div>
+                  )}
+                </div>
+                {/* When editing, the record already exists, it doesn't make sense to add it to the
+                    cart. */}
+                {editing === null && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      // Promo codes are applied when the order is placed, not per cart item.
+                      const { lineItems, unitPrice, discounts, total } = calculatePrice(
+                        product,
+                        selectedOptions
+                      )
+
+                      addItem(product.id, selectedOptions, {
+                        lineItems,
+                        unitPrice,
+                        discounts,
+                        total,
+                      })
+                      router.push('/cart')
+                    }}
+                    className="flex-shrink-0 px-4 py-2 text-base font-medium leading-5 text-gray-900 transition duration-150 ease-in-out bg-white border border-gray-300 rounded-md xl:px-5 xl:py-3 hover:bg-gray-50 focus:outline-none focus:shadow-outline-gray"
+                  >
+                    Add to cart
+                  </button>
+                )}
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-shrink-0 px-4 py-2 text-base font-medium leading-5 text-white transition duration-150 ease-in-out bg-gray-900 border border-transparent rounded-md xl:px-5 xl:py-3 hover:bg-gray-700 focus:outline-none focus:shadow-outline-gray"
+                >
+                  {editing === null ? 'Buy now' : 'Save changes'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </footer>
+      </form>
+
+      {/* The dialog reads the same `financingOptions`, so it updates live as the options
+          change. */}
+      {isFinancingOpen && financingOptions.length > 0 && (
+        <FinancingDialog
+          amount={totalPrice}
+          options={financingOptions}
+          onClose={() => setIsFinancingOpen(false)}
+        />
+      )}
+
+      {submission !== null && (
+        <OrderSummaryDialog
+          submission={submission}
+          isUpdate={editing !== null}
+          onClose={() => setSubmission(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+Configurator.defaultProps = {
+  editing: null,
+}
+
+// Pressing enter in an input submits the form, but we don't want to place an order while filling in
+// a promo code or a destination. Returns whether the enter key was pressed.
+function preventSubmitOnEnter(event) {
+  if (event.key !== 'Enter') {
+    return false
+  }
+
+  event.preventDefault()
+  return true
+}
+
+/**
+ * The price of an option relative to the selected option, e.g.: `+ $449.00`.
+ */
+function RelativePrice(props) {
+  const { amount } = props
+  const { formatMoney } = useMoney()
+
+  // Watch out! `0` is falsey, however I don't want to render falseys nor the value 0.
+  if (!Boolean(amount)) {
+    return null
+  }
+
+  return (
+    <span className="flex items-center flex-shrink-0 text-sm leading-5 text-gray-900 ">
+      {match(Math.sign(amount), {
+        // Positive prices should have a `+` in front of the value.
+        [1]: '+ ',
+
+        // This should never happen (because we don't want to render the price 0), but since
+        // Math.sign returns -1, 0 or 1, I'll add it for completeness.
+        [0]: '',
+
+        // Negative prices should have a `-` in front of the value.
+        [-1]: '- ',
+      })}
+
+      {/* We want to prevent that a double `- -` is visible, so therefore we can take the absolute value. */}
+      {formatMoney(Math.abs(amount))}
+    </span>
+  )
+}
+
+/**
+ * Shows the differences between the stored configuration and the current configuration, both in
+ * options and in price. Only used when editing an existing record.
+ */
+function ChangesSummary(props) {
+  const { label, categories, lookup, originalOptions, selectedOptions, priceDifference } = props
+  const { formatMoney } = useMoney()
+
+  // Comparing the titles works for `multiple` categories as well, where the values are lists.
+  const changedCategories = categories.filter(
+    (category) =>
+      selectionTitle(lookup[category.id], originalOptions[category.id]) !==
+      selectionTitle(lookup[category.id], selectedOptions[category.id])
+  )
+
+  return (
+    <div className="space-y-2 text-sm leading-5 lg:col-span-2">
+      <div className="font-medium text-gray-900">Editing {label}</div>
+
+      {changedCategories.length === 0 ? (
+        <div className="text-gray-500">No changes yet.</div>
+      ) : (
+        <dl className="space-y-1 text-gray-500">
+          {changedCategories.map((category) => (
+            <div key={category.id} className="flex space-x-2">
+              <dt className="font-medium text-gray-900">{category.title}:</dt>
+              <dd>
+                <del>{selectionTitle(lookup[category.id], originalOptions[category.id])}</del>
+                {' → '}
+                <ins className="no-underline">
+                  {selectionTitle(lookup[category.id], selectedOptions[category.id])}
+                </ins>
+              </dd>
+            </div>
+          ))}
+          <div className="flex space-x-2">
+            <dt className="font-medium text-gray-900">Price:</dt>
+            <dd>
+              {match(Math.sign(priceDifference), {
+                [1]: lazy(() => `+ ${formatMoney(priceDifference)}`),
+                [0]: 'No difference',
+                [-1]: lazy(() => `- ${formatMoney(Math.abs(priceDifference))}`),
+              })}
+            </dd>
+          </div>
+        </dl>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,219 @@
+import { useContext, createContext, useMemo, useState, useRef, useCallback, useEffect } from 'react'
+import { createPortal } from 'react-dom'
+import { useId } from './use-id'
+
+const NO_CONTEXT = Symbol('no-context')
+const DialogContext = createContext(NO_CONTEXT)
+
+// The elements that can receive focus with the Tab key. We use this to keep the focus inside of the
+// dialog, and to find the element that should receive the focus when the dialog opens.
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',')
+
+function focusableElementsIn(element) {
+  return Array.from(element.querySelectorAll(FOCUSABLE_SELECTOR))
+}
+
+// ---
+
+/**
+ * A headless modal dialog, in the same spirit as the <OptionGroup /> component: it takes care of
+ * the behaviour and the accessibility, you take care of the styling.
+ *
+ * The dialog is open while it is rendered, so you can render it conditionally:
+ *
+ * ```js
+ * {isOpen && (
+ *   <Dialog onClose={() => setIsOpen(false)} className="fixed inset-0">
+ *     <DialogOverlay className="fixed inset-0 bg-gray-900 bg-opacity-75" />
+ *     <DialogTitle>Title</DialogTitle>
+ *     <DialogDescription>Description</DialogDescription>
+ *   </Dialog>
+ * )}
+ * ```
+ *
+ * - The focus moves into the dialog when it opens (to the `initialFocus` ref, or the first
+ *   focusable element), and it is restored to the trigger once it closes.
+ * - The Tab key cycles through the focusable elements inside of the dialog.
+ * - The Escape key calls `onClose`.
+ * - The page behind the dialog doesn't scroll.
+ */
+export function Dialog(props) {
+  const { onClose, initialFocus, onKeyDown, ...rest } = props
+
+  const dialog = useRef(null)
+
+  // Move the focus into the dialog when it opens, and restore it to whatever had focus before (the
+  // trigger that opened the dialog) once it closes.
+  useEffect(() => {
+    const previouslyFocused = document.activeElement
+
+    if (initialFocus !== null && initialFocus.current) {
+      initialFocus.current.focus()
+    } else {
+      // When there is nothing to focus, we focus the dialog itself. This way screen readers still
+      // announce the dialog and the Escape key still works.
+      const [firstFocusable = dialog.current] = focusableElementsIn(dialog.current)
+      firstFocusable.focus()
+    }
+
+    return () => {
+      if (previouslyFocused) {
+        previouslyFocused.focus()
+      }
+    }
+  }, [dialog])
+
+  // The page behind the dialog shouldn't scroll.
+  useEffect(() => {
+    const { overflow } = document.body.style
+    document.body.style.overflow = 'hidden'
+
+    return () => {
+      document.body.style.overflow = overflow
+    }
+  }, [])
+
+  // Same as with the label of the <OptionGroup />. If we generate the IDs up front and don't render
+  // a <DialogTitle /> or a <DialogDescription />, we would reference elements that don't exist.
+  const [labelId, setLabelId] = useState(null)
+  const [descriptionId, setDescriptionId] = useState(null)
+
+  const registerLabel = useCallback(
+    (labelId) => {
+      setLabelId(labelId)
+
+      return () => {
+        setLabelId(null)
+      }
+    },
+    [setLabelId]
+  )
+
+  const registerDescription = useCallback(
+    (descriptionId) => {
+      setDescriptionId(descriptionId)
+
+      return () => {
+        setDescriptionId(null)
+      }
+    },
+    [setDescriptionId]
+  )
+
+  const contextBag = useMemo(() => ({ registerLabel, registerDescription, onClose }), [
+    registerLabel,
+    registerDescription,
+    onClose,
+  ])
+
+  function handleKeyboardEvent(event) {
+    // The consumer can add keyboard shortcuts of its own (e.g.: the arrow keys in the lightbox), or
+    // opt out of ours by preventing the default behaviour.
+    onKeyDown(event)
+
+    if (event.defaultPrevented) {
+      return
+    }
+
+    switch (event.key) {
+      case 'Escape':
+        event.preventDefault()
+        onClose()
+        break
+
+      // Keep the focus inside of the dialog, the page behind it can't be reached while it is open.
+      case 'Tab': {
+        const focusables = focusableElementsIn(dialog.current)
+
+        if (focusables.length === 0) {
+          event.preventDefault()
+          break
+        }
+
+        const first = focusables[0]
+        const last = focusables[focusables.length - 1]
+
+        if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault()
+          last.focus()
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault()
+          first.focus()
+        }
+        break
+      }
+    }
+  }
+
+  // A portal renders the dialog at the end of the body. This way it is never clipped by (or stacked
+  // below) the element that happens to render it.
+  return createPortal(
+    <DialogContext.Provider value={contextBag}>
+      <div
+        {...rest}
+        ref={dialog}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={labelId}
+        aria-describedby={descriptionId}
+        tabIndex={-1}
+        onKeyDown={handleKeyboardEvent}
+      />
+    </DialogContext.Provider>,
+    document.body
+  )
+}
+
+Dialog.defaultProps = {
+  // A ref to the element that should receive the focus when the dialog opens. When omitted, the
+  // first focusable element is used.
+  initialFocus: null,
+  onKeyDown: () => {},
+  get onClose() {
+    throw new Error('The <Dialog /> component requires an `onClose` prop.')
+  },
+}
+
+function useDialogContext(component) {
+  const context = useContext(DialogContext)
+
+  if (context === NO_CONTEXT) {
+    throw new Error(`Used a <${component} /> without a <Dialog />`)
+  }
+
+  return context
+}
+
+// ---
+
+// The backdrop of the dialog, clicking it closes the dialog.
+export function DialogOverlay(props) {
+  const { onClose } = useDialogContext('DialogOverlay')
+
+  return <div {...props} aria-hidden="true" onClick={onClose} />
+}
+
+export function DialogTitle(props) {
+  const { registerLabel } = useDialogContext('DialogTitle')
+
+  const labelId = useId('dialog-title')
+  useEffect(() => registerLabel(labelId), [labelId])
+
+  return <h2 {...props} id={labelId} />
+}
+
+export function DialogDescription(props) {
+  const { registerDescription } = useDialogContext('DialogDescription')
+
+  const descriptionId = useId('dialog-description')
+  useEffect(() => registerDescription(descriptionId), [descriptionId])
+
+  return <p {...props} id={descriptionId} />
+}
@@ -0,0 +1,93 @@
+import { useRef } from 'react'
+import { useMoney } from './money'
+import { Dialog, DialogOverlay, DialogTitle, DialogDescription } from './dialog'
+
+/**
+ * An accessible dialog that compares the financing plans (see `utils/financing.js`) for the current
+ * price. The `options` are the result of `financingOptionsFor`, this way the numbers in the dialog
+ * are the exact same numbers as the "from $X/mo" in the footer.
+ */
+export function FinancingDialog(props) {
+  const { amount, options, onClose } = props
+  const { formatMoney } = useMoney()
+
+  const closeButton = useRef(null)
+
+  return (
+    <Dialog
+      onClose={onClose}
+      initialFocus={closeButton}
+      className="fixed inset-0 z-50 flex items-center justify-center p-4"
+    >
+      <DialogOverlay className="fixed inset-0 bg-gray-900 bg-opacity-75" />
+
+      <div className="relative w-full max-w-2xl p-6 space-y-4 bg-white rounded-lg shadow-xl">
+        <div className="flex items-start justify-between space-x-4">
+          <DialogTitle className="text-lg font-medium leading-7 text-gray-900">
+            Financing
+          </DialogTitle>
+          <button
+            ref={closeButton}
+            type="button"
+            onClick={onClose}
+            className="p-2 -m-2 text-gray-400 rounded-md hover:text-gray-500 focus:outline-none focus:shadow-outline-gray"
+          >
+            <span className="sr-only">Close</span>
+            <svg fill="currentColor" viewBox="0 0 20 20" className="w-6 h-6">
+              <path
+                d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
+                clipRule="evenodd"
+                fillRule="evenodd"
+              />
+            </svg>
+          </button>
+        </div>
+
+        <DialogDescription className="text-sm leading-5 text-gray-500">
+          Spread the payment of {formatMoney(amount)} over a term that suits you.
+        </DialogDescription>
+
+        <table className="w-full text-sm leading-5 text-right">
+          <thead className="text-gray-500">
+            <tr>
+              <th scope="col" className="py-2 font-medium text-left">
+                Term
+              </th>
+              <th scope="col" className="py-2 font-medium">
+                APR
+              </th>
+              <th scope="col" className="py-2 font-medium">
+                Monthly
+              </th>
+              <th scope="col" className="py-2 font-medium">
+                Interest
+              </th>
+              <th scope="col" className="py-2 font-medium">
+                Total
+              </th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-900 border-t border-gray-200 divide-y divide-gray-200">
+            {options.map((option) => (
+              <tr key={option.months}>
+                <th scope="row" className="py-2 font-medium text-left">
+                  {option.months} months
+                </th>
+                <td className="py-2">{option.apr}%</td>
+                <td className="py-2">{formatMoney(option.monthlyPayment)}/mo</td>
+                <td className="py-2">{formatMoney(option.interest)}</td>
+                <td className="py-2">{formatMoney(option.totalPaid)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <p className="text-xs leading-4 text-gray-500">
+          Payment examples are based on a purchase of {formatMoney(amount)}, excluding tax and
+          shipping. Monthly payments are rounded up to the cent, the last payment is adjusted to
+          match the total. Financing is subject to credit approval.
+        </p>
+      </div>
+    </Dialog>
+  )
+}
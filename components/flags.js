@@ -0,0 +1,211 @@
+import { useState, useCallback } from 'react'
+import { classNames } from '../utils/class-names'
+
+// The state model that is shared by the <Option /> (see `components/options.js`) and the
+// <ListboxOption /> (see `components/listbox.js`). Both render their children with these flags, and
+// this module contains the helpers to style a component based on them.
+
+// Emulating an enum here. Okay, the web dev community might not be ready for this, but hear me out.
+// In the game industry, a lot of state is encoded in a single number. Bitmasking is used to combine
+// states and check if the value is in a certain state (or multiple at the same time). This is
+// efficient because you can just store a single number (granted, we don't need this performance per
+// se, but hey it's a nice benefit). But the API it unlocks is quite interesting. I might totally
+// lose you here or I might get you to fall in love with my solution. Either way, my goal was to
+// experiment with a solution by thinking outside of the box. Just give it a minute or two!
+export const OptionState = {
+  // Main states:
+  Default: 1 << 0,
+  Selected: 1 << 1,
+
+  // Sub states:
+  Active: 1 << 2, // You can think of it as "hover" but less technical.
+  Focused: 1 << 3,
+  Disabled: 1 << 4, // The option is visible, but can't be selected nor reached with the keyboard.
+}
+
+/**
+ * I made a small abstraction here. But this essentially mimics the multi-states in a single number
+ * approach from the game industry. We probably wouldn't use this in a production application
+ * because it might be too confusing. But why not experiment?
+ */
+export function useFlags(initial_state = 0) {
+  const [flags, setFlags] = useState(initial_state)
+
+  /**
+   * You can combine 2 bits by doing a bitwise "or" -> |
+   *
+   *   0001       I wrote this as `1 << 0` above.
+   *   0010       I wrote this as `1 << 1` above.
+   * | ----       Using bitwise "or".
+   *   0011
+   */
+  const addFlag = useCallback((flag) => setFlags((flags) => flags | flag), [setFlags])
+
+  /**
+   * Imagine you now have that single number `0011`, and you want to check if `1 << 0` or `1 << 1`
+   * is "inside" of it.
+   *
+   *   0011       The result of `(1 << 0) | (1 << 1)`.
+   *   0001       The value `1 << 0`.
+   * & ----       Using bitwise "and".
+   *   0001       This contains a `1` this means that the value is greater than `0` and thus truthy!
+   *
+   *
+   *   0011       The result of `(1 << 0) | (1 << 1)`.
+   *   0010       The value `1 << 1`.
+   * & ----       Using bitwise "and".
+   *   0010       This contains a `1` this means that the value is greater than `0` and thus truthy!
+   */
+  const hasFlag = useCallback((flag) => Boolean(flags & flag), [flags])
+
+  /**
+   * Now, let's imagine that we want to "remove" a flag. You can do this with the bitwise "not" and
+   * bitwise "and".
+   *
+   *   0010       The flag we want to remove.
+   * ~ ----       Using bitwise "not".
+   *   1101       The flag we want to remove, but now inverted.
+   *              The result of `~(1 << 1)`. Note: JavaScript uses two's-complement notation.
+   *
+   *   0011       The result of `(1 << 0) | (1 << 1)`.
+   *   1101       The result of the inverted flag we want to remove.
+   * & ----       Using bitwise "and".
+   *   0001       The value without the flag we wanted to remove!
+   */
+  const removeFlag = useCallback((flag) => setFlags((flags) => flags & ~flag), [setFlags])
+
+  return { flags, addFlag, removeFlag, hasFlag }
+}
+
+// ---
+
+// The lowercase names of the flags, e.g.: `OptionState.Selected` -> `'selected'`. These are used
+// for the keys of `variants` and for the `data-state` attribute.
+const FLAG_NAMES = Object.entries(OptionState).map(([name, flag]) => [name.toLowerCase(), flag])
+
+function toFlag(name) {
+  const match = FLAG_NAMES.find(([flagName]) => flagName === name)
+
+  if (match === undefined) {
+    throw new Error(
+      `Unknown state "${name}", the known states are: ${FLAG_NAMES.map(([name]) => name).join(',')}`
+    )
+  }
+
+  return match[1]
+}
+
+/**
+ * The combinators return a predicate `(state) => boolean`. This way they can be passed around, and
+ * they fit nicely in the guard arms of `match` (see `utils/match.js`):
+ *
+ * ```js
+ * match(state, [
+ *   when(is(Selected | Focused), 'border-2 shadow-outline-gray'),
+ *   when(is(Selected), 'border-2'),
+ *   otherwise('border'),
+ * ])
+ * ```
+ *
+ * `is` checks that all of the given flags are set. Note that this is different from `state & flag`,
+ * which is truthy as soon as one of the flags is set.
+ */
+export function is(flags) {
+  return (state) => (state & flags) === flags
+}
+
+// The other combinators accept both flags and predicates, e.g.: `all(Selected, none(Disabled))`.
+function toPredicate(flagsOrPredicate) {
+  return typeof flagsOrPredicate === 'function' ? flagsOrPredicate : is(flagsOrPredicate)
+}
+
+export function all(...conditions) {
+  return (state) => conditions.every((condition) => toPredicate(condition)(state))
+}
+
+export function any(...conditions) {
+  return (state) => conditions.some((condition) => toPredicate(condition)(state))
+}
+
+export function none(...conditions) {
+  return (state) => !any(...conditions)(state)
+}
+
+// ---
+
+/**
+ * The low level building block. The keys of the lookup are flags, the value of the highest flag
+ * that is set wins. To style combinations of states you have to nest them:
+ *
+ * ```js
+ * matchFlag(state, {
+ *   [Default]: matchFlag(state, { [Default]: '...', [Active]: '...' }),
+ *   [Selected]: matchFlag(state, { [Selected]: '...', [Focused]: '...' }),
+ * })
+ * ```
+ */
+export function matchFlag(state, lookup) {
+  // To make things easier, we can sort the keys so that we can find the "best" match. The used
+  // heuristic is the actual number representation.
+  const flags = Object.keys(lookup).sort((a, b) => Math.sign(b - a))
+
+  for (let flag of flags) {
+    if (state & flag) {
+      return lookup[flag]
+    }
+  }
+}
+
+/**
+ * The friendlier version of `matchFlag`, without the nesting. The keys are the names of the states,
+ * a combination of states is written as a space separated list:
+ *
+ * ```js
+ * variants(state, {
+ *   base: 'rounded-lg',
+ *   default: 'border p-px border-gray-300',
+ *   'default active': 'border p-px border-gray-400',
+ *   selected: 'border-2 p-0 border-gray-700',
+ *   'selected focused': 'border-2 p-0 border-gray-700 shadow-outline-gray',
+ *   disabled: 'border p-px opacity-50',
+ * })
+ * ```
+ *
+ * The `base` classes are always used. From the other keys, only the one with the highest priority
+ * that matches is used. The priority is the same heuristic as `matchFlag`: the highest numeric
+ * value of the combined flags wins. In the example above, a disabled option wins from everything
+ * else, and a selected and focused option wins from an option that is only selected.
+ *
+ * We only pick a single key on purpose. In Tailwind, 2 conflicting classes (`border-gray-300` and
+ * `border-gray-400`) are resolved by the order of the CSS and not by the order in the class list.
+ * Merging keys would make the result depend on the stylesheet instead of on this object.
+ */
+export function variants(state, classes) {
+  const { base = null, ...rest } = classes
+
+  let winner = { flags: 0, value: null }
+
+  for (let [key, value] of Object.entries(rest)) {
+    const flags = key.split(' ').reduce((flags, name) => flags | toFlag(name), 0)
+
+    if (is(flags)(state) && flags > winner.flags) {
+      winner = { flags, value }
+    }
+  }
+
+  return classNames(base, winner.value)
+}
+
+/**
+ * The state as a space separated list of names, e.g.: `'selected focused'`. This is rendered as the
+ * `data-state` attribute of the options, so that you can style them without a render prop:
+ *
+ * ```css
+ * [data-state~='selected'] { ... }
+ * ```
+ */
+export function dataState(state) {
+  return FLAG_NAMES.filter(([, flag]) => state & flag)
+    .map(([name]) => name)
+    .join(' ')
+}
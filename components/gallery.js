@@ -0,0 +1,395 @@
+import { useState, useRef, useEffect, useCallback } from 'react'
+import { OptionGroup, Options, Option, OptionGroupLabel } from './options'
+import { Dialog } from './dialog'
+import { classNames } from '../utils/class-names'
+import { matchFlag } from './flags'
+
+// Emulating an enum, the direction we are moving through the images.
+const Direction = { Previous: -1, Next: 1 }
+
+// The minimum distance (in pixels) a finger has to travel horizontally before we treat it as a
+// swipe instead of a tap.
+const SWIPE_THRESHOLD = 50
+
+// Clicking (or tapping) the image zooms in this much, pinching can go up to the maximum.
+const CLICK_ZOOM_SCALE = 2
+const MAX_ZOOM_SCALE = 4
+
+const NO_ZOOM = { scale: 1, origin: '50% 50%' }
+
+/**
+ * The main image, the list of thumbnails and the fullscreen lightbox. The active image is still
+ * controlled by the parent (the `activeImageId`), this way the thumbnails, the main image and the
+ * lightbox always show the same image.
+ */
+export function Gallery(props) {
+  const { images, activeImageId, onChange } = props
+
+  const [isLightboxOpen, setIsLightboxOpen] = useState(false)
+
+  // Find the active image based on the ID.
+  const activeImage = images.find(({ id }) => id === activeImageId)
+
+  const goTo = useCallback(
+    (direction) => {
+      const activeIndex = images.findIndex(({ id }) => id === activeImageId)
+      const index = (activeIndex + direction + images.length) % images.length
+
+      onChange(images[index].id)
+    },
+    [images, activeImageId, onChange]
+  )
+
+  return (
+    <div className="grid grid-cols-1 gap-4">
+      {/* Main image */}
+      <div className="relative overflow-hidden border border-gray-200 rounded-lg shadow-sm">
+        {/* Using some padding percentage hacks to create some sort of aspect ratio container. */}
+        {/* The images are 144x96. Which is 1.5. Thank you tailwind for the pb-2/3 class! */}
+        <div className="relative w-full h-full pb-2/3">
+          <ZoomableImage
+            className="absolute inset-0 w-full h-full"
+            image={activeImage}
+            onSwipe={goTo}
+          />
+        </div>
+
+        <button
+          type="button"
+          onClick={() => setIsLightboxOpen(true)}
+          className="absolute bottom-0 right-0 p-2 m-3 text-gray-700 transition duration-150 ease-in-out bg-white rounded-md shadow-sm hover:text-gray-900 focus:outline-none focus:shadow-outline-gray"
+        >
+          <span className="sr-only">View fullscreen</span>
+          <svg fill="currentColor" viewBox="0 0 20 20" className="w-5 h-5">
+            <path
+              d="M3 4a1 1 0 011-1h4a1 1 0 010 2H6.414l2.293 2.293a1 1 0 11-1.414 1.414L5 6.414V8a1 1 0 01-2 0V4zm9 1a1 1 0 010-2h4a1 1 0 011 1v4a1 1 0 01-2 0V6.414l-2.293 2.293a1 1 0 11-1.414-1.414L13.586 5H12zm-9 7a1 1 0 012 0v1.586l2.293-2.293a1 1 0 111.414 1.414L6.414 15H8a1 1 0 010 2H4a1 1 0 01-1-1v-4zm13-1a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 010-2h1.586l-2.293-2.293a1 1 0 111.414-1.414L15 13.586V12a1 1 0 011-1z"
+              clipRule="evenodd"
+              fillRule="evenodd"
+            />
+          </svg>
+        </button>
+      </div>
+
+      {/* List of thumbnails */}
+      <OptionGroup active={activeImageId} onChange={onChange}>
+        <OptionGroupLabel className="sr-only">Selected image:</OptionGroupLabel>
+        <Options className="grid grid-flow-col gap-4 focus:outline-none">
+          {images.map((image) => (
+            // I abstracted this to a component just to prove that it is possible. Aka used context
+            // under the hood.
+            <ImageOption key={image.id} image={image} />
+          ))}
+        </Options>
+      </OptionGroup>
+
+      {isLightboxOpen && (
+        <Lightbox
+          images={images}
+          activeImage={activeImage}
+          onNavigate={goTo}
+          onClose={() => setIsLightboxOpen(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+/**
+ * A fullscreen view of the active image. The <Dialog /> renders it in a portal, this way it is not
+ * affected by the `sticky` (and thus the stacking context) of the gallery.
+ */
+function Lightbox(props) {
+  const { images, activeImage, onNavigate, onClose } = props
+
+  const closeButton = useRef(null)
+
+  // The <Dialog /> takes care of the focus, the scroll locking and the Escape key. We only add the
+  // arrow keys to move through the images.
+  function handleKeyboardEvent(event) {
+    switch (event.key) {
+      case 'ArrowLeft':
+        event.preventDefault()
+        onNavigate(Direction.Previous)
+        break
+
+      case 'ArrowRight':
+        event.preventDefault()
+        onNavigate(Direction.Next)
+        break
+    }
+  }
+
+  const activeIndex = images.indexOf(activeImage)
+
+  return (
+    <Dialog
+      onClose={onClose}
+      initialFocus={closeButton}
+      aria-label={`${activeImage.label} (image ${activeIndex + 1} of ${images.length})`}
+      onKeyDown={handleKeyboardEvent}
+      className="fixed inset-0 z-50 flex flex-col bg-gray-900 bg-opacity-75"
+    >
+      <div className="flex items-center justify-between px-4 py-3 text-sm leading-5 text-gray-300">
+        <span>
+          {activeImage.label} ({activeIndex + 1} / {images.length})
+        </span>
+        <button
+          ref={closeButton}
+          type="button"
+          onClick={onClose}
+          className="p-2 -m-2 rounded-md hover:text-white focus:outline-none focus:shadow-outline-gray"
+        >
+          <span className="sr-only">Close</span>
+          <svg fill="currentColor" viewBox="0 0 20 20" className="w-6 h-6">
+            <path
+              d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
+              clipRule="evenodd"
+              fillRule="evenodd"
+            />
+          </svg>
+        </button>
+      </div>
+
+      <div className="relative flex items-center flex-1 min-h-0">
+        <button
+          type="button"
+          onClick={() => onNavigate(Direction.Previous)}
+          className="absolute left-0 z-10 p-2 m-4 text-gray-300 rounded-md hover:text-white focus:outline-none focus:shadow-outline-gray"
+        >
+          <span className="sr-only">Previous image</span>
+          <svg fill="currentColor" viewBox="0 0 20 20" className="w-8 h-8">
+            <path
+              d="M12.707 5.293a1 1 0 010 1.414L9.414 10l3.293 3.293a1 1 0 01-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z"
+              clipRule="evenodd"
+              fillRule="evenodd"
+            />
+          </svg>
+        </button>
+
+        <ZoomableImage
+          className="w-full h-full"
+          imageClassName="object-contain"
+          image={activeImage}
+          onSwipe={onNavigate}
+        />
+
+        <button
+          type="button"
+          onClick={() => onNavigate(Direction.Next)}
+          className="absolute right-0 z-10 p-2 m-4 text-gray-300 rounded-md hover:text-white focus:outline-none focus:shadow-outline-gray"
+        >
+          <span className="sr-only">Next image</span>
+          <svg fill="currentColor" viewBox="0 0 20 20" className="w-8 h-8">
+            <path
+              d="M7.293 14.707a1 1 0 010-1.414L10.586 10 7.293 6.707a1 1 0 011.414-1.414l4 4a1 1 0 010 1.414l-4 4a1 1 0 01-1.414 0z"
+              clipRule="evenodd"
+              fillRule="evenodd"
+            />
+          </svg>
+        </button>
+      </div>
+    </Dialog>
+  )
+}
+
+function distanceBetween(a, b) {
+  return Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)
+}
+
+// The position of a point relative to an element, as percentages. This is what `transform-origin`
+// expects, so that we zoom into the spot that was clicked or pinched.
+function originOf(element, clientX, clientY) {
+  const rect = element.getBoundingClientRect()
+  const x = ((clientX - rect.left) / rect.width) * 100
+  const y = ((clientY - rect.top) / rect.height) * 100
+
+  return `${x}% ${y}%`
+}
+
+/**
+ * An image that can be zoomed by clicking (or pressing Enter, it's a button after all) and by
+ * pinching with two fingers. When the image is not zoomed in, swiping with a single finger moves to
+ * the previous or next image.
+ */
+function ZoomableImage(props) {
+  const { image, onSwipe, className, imageClassName } = props
+
+  const [zoom, setZoom] = useState(NO_ZOOM)
+
+  // We don't need to re-render while a finger is moving, we only need to remember where it started.
+  const gesture = useRef(null)
+
+  // A different image always starts without zoom.
+  useEffect(() => {
+    setZoom(NO_ZOOM)
+  }, [image.id])
+
+  function handleClick(event) {
+    if (zoom.scale !== 1) {
+      return setZoom(NO_ZOOM)
+    }
+
+    // When the button is "clicked" with the keyboard, there is no pointer position (`detail` is the
+    // amount of clicks, which is 0 for keyboard clicks). Zoom into the center instead.
+    setZoom({
+      scale: CLICK_ZOOM_SCALE,
+      origin:
+        event.detail === 0
+          ? NO_ZOOM.origin
+          : originOf(event.currentTarget, event.clientX, event.clientY),
+    })
+  }
+
+  function handleTouchStart(event) {
+    const { touches } = event
+
+    if (touches.length === 2) {
+      gesture.current = {
+        pinch: true,
+        distance: distanceBetween(touches[0], touches[1]),
+        scale: zoom.scale,
+      }
+    } else if (touches.length === 1) {
+      gesture.current = { pinch: false, x: touches[0].clientX, y: touches[0].clientY }
+    }
+  }
+
+  function handleTouchMove(event) {
+    const { touches } = event
+
+    if (gesture.current === null || !gesture.current.pinch || touches.length !== 2) {
+      return
+    }
+
+    const ratio = distanceBetween(touches[0], touches[1]) / gesture.current.distance
+    const scale = Math.min(Math.max(gesture.current.scale * ratio, 1), MAX_ZOOM_SCALE)
+
+    setZoom({
+      scale,
+      origin: originOf(
+        event.currentTarget,
+        (touches[0].clientX + touches[1].clientX) / 2,
+        (touches[0].clientY + touches[1].clientY) / 2
+      ),
+    })
+  }
+
+  function handleTouchEnd(event) {
+    const current = gesture.current
+    gesture.current = null
+
+    // Swiping only makes sense when we are not zoomed in, otherwise you are looking at the details.
+    if (current === null || current.pinch || zoom.scale !== 1) {
+      return
+    }
+
+    const [touch] = event.changedTouches
+    const deltaX = touch.clientX - current.x
+    const deltaY = touch.clientY - current.y
+
+    // Mostly vertical movements are the page scrolling, not a swipe.
+    if (Math.abs(deltaX) < SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) {
+      return
+    }
+
+    // Swiping to the left reveals the next image, just like turning a page.
+    onSwipe(deltaX < 0 ? Direction.Next : Direction.Previous)
+  }
+
+  return (
+    <button
+      type="button"
+      aria-label={zoom.scale === 1 ? `Zoom in on ${image.label}` : `Zoom out of ${image.label}`}
+      aria-pressed={zoom.scale !== 1}
+      onClick={handleClick}
+      onTouchStart={handleTouchStart}
+      onTouchMove={handleTouchMove}
+      onTouchEnd={handleTouchEnd}
+      className={classNames('block overflow-hidden focus:outline-none', className)}
+      style={{
+        // We handle the pinch gesture ourselves, the browser should only handle vertical scrolling.
+        touchAction: 'pan-y',
+        cursor: zoom.scale === 1 ? 'zoom-in' : 'zoom-out',
+      }}
+    >
+      <img
+        className={classNames('w-full h-full transition-transform duration-150', imageClassName)}
+        style={{ transform: `scale(${zoom.scale})`, transformOrigin: zoom.origin }}
+        src={image.src}
+        alt={image.label}
+      />
+    </button>
+  )
+}
+
+/**
+ * The only reason I extracted a component here is to show you that it is _possible_ to extract a
+ * component for this. In other words, if I didn't use context under the hood, I would have to pass
+ * through all the relevant props deeply.
+ */
+function ImageOption(props) {
+  const { image } = props
+  const { Default, Active, Selected, Focused } = Option.state
+
+  return (
+    <Option
+      value={image.id}
+      // The thumbnails don't render any text, so we use the label of the image for typeahead.
+      textValue={image.label}
+      className="rounded-lg shadow-sm cursor-pointer focus:outline-none"
+    >
+      {(state) => {
+        /**
+         * Here is another cool trick. You can ignore the state value you get from the callback, add
+         * a `state = Selected | Focused` and you can now see your component in this exact state.
+         * Think about this for a second, we are in "user land" and we can mimic every state! We
+         * didn't even need to expose an API to make this possible!
+         *
+         * Uncomment the following line to see the component in a hardcoded state:
+         */
+        // state = Selected | Focused
+
+        /**
+         * Another cool trick is that you can wrap this low level API in an API that you might like
+         * better. This is something that could be exposed from the library or implemented in user
+         * land E.g.:
+         *
+         * function isActive() { return Boolean(state & Active) }
+         * function isFocused() { return Boolean(state & Focused) }
+         * function isSelected() { return Boolean(state & Selected) }
+         *
+         * These (and the `variants` helper) now live in `components/flags.js`. I kept the raw
+         * `matchFlag` version here, because it shows what happens underneath.
+         */
+        return (
+          <div
+            className={classNames(
+              'transition duration-150 ease-in-out overflow-hidden rounded-lg flex items-center justify-center',
+              matchFlag(state, {
+                // We can either be in the Default state.
+                [Default]: matchFlag(state, {
+                  // Once we are in the Default state, we can have styles for the Default state
+                  // as-is.
+                  [Default]: 'border p-px border-gray-200',
+                  // Or we can have styles for when we are in the Default AND Active state at the
+                  // same time.
+                  [Active]: 'border p-px border-gray-400',
+                }),
+                // Or we can be in the Selected state.
+                [Selected]: matchFlag(state, {
+                  [Selected]: 'border-2 p-0 border-gray-700',
+                  [Focused]: 'border-2 p-0 border-gray-700 shadow-outline-gray',
+                }),
+              })
+            )}
+          >
+            {/* Using some padding percentage hacks to create some sort of aspect ratio container. */}
+            <div className="relative w-full h-full pb-2/3">
+              <img className="absolute w-full h-full" src={image.src} alt={image.label} />
+            </div>
+          </div>
+        )
+      }}
+    </Option>
+  )
+}
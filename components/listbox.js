@@ -0,0 +1,643 @@
+import { useContext, createContext, useMemo, useState, useRef, useCallback, useEffect } from 'react'
+import { useId } from './use-id'
+import { OptionState, useFlags, dataState } from './flags'
+import {
+  Direction,
+  useMemoizedFunctionRef,
+  findInDirection,
+  isEnabled,
+  findMatching,
+  useTypeahead,
+  isTypeaheadKey,
+  VISUALLY_HIDDEN,
+} from './collection'
+
+const NO_CONTEXT = Symbol('no-context')
+const ListboxContext = createContext(NO_CONTEXT)
+
+/**
+ * A headless select: a button that opens a popup with a list of options. This is the compact
+ * alternative to the <OptionGroup />, useful when there are a lot of options. The API is very
+ * similar:
+ *
+ * ```js
+ * <Listbox value={value} onChange={setValue}>
+ *   <ListboxLabel>Label</ListboxLabel>
+ *   <ListboxButton>{value}</ListboxButton>
+ *   <ListboxOptions>
+ *     <ListboxOption value="a">{(state) => <span>A</span>}</ListboxOption>
+ *   </ListboxOptions>
+ * </Listbox>
+ * ```
+ *
+ * The DOM focus stays on the popup while it is open, the "focused" option is the active descendant
+ * (`aria-activedescendant`). That option has the `Active` flag, both for the mouse and the
+ * keyboard.
+ *
+ * Inside of a `<form>`, it behaves like the <OptionGroup />: the `name` prop renders a hidden input
+ * with the selected value, the `required` prop takes part in the validation of the form, and
+ * resetting the form resets the Listbox as well.
+ */
+export function Listbox(props) {
+  const { value, onChange, name, required, validationMessage, children, ...rest } = props
+
+  // Making sure that we are always calling the latest version of the onChange function.
+  const memoizedOnChange = useMemoizedFunctionRef(onChange)
+
+  const listboxId = useId('listbox')
+  const buttonId = `${listboxId}-button`
+
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeOptionId, setActiveOptionId] = useState(null)
+
+  // The options are only rendered (and registered) while the popup is open.
+  const options = useRef([])
+
+  // We need the DOM elements to move the focus around, and to know whether a click happened
+  // outside of the listbox.
+  const button = useRef(null)
+  const popup = useRef(null)
+
+  const open = useCallback(() => setIsOpen(true), [setIsOpen])
+
+  // Closing because of a choice (or the Escape key) moves the focus back to the button. Closing
+  // because you clicked somewhere else on the page shouldn't steal the focus from that element.
+  const close = useCallback(
+    ({ restoreFocus }) => {
+      setIsOpen(false)
+      setActiveOptionId(null)
+
+      if (restoreFocus && button.current) {
+        button.current.focus()
+      }
+    },
+    [setIsOpen, setActiveOptionId, button]
+  )
+
+  // The child effects run before this effect, this means that the options are registered by now.
+  // We start at the selected option, otherwise at the first enabled option.
+  useEffect(() => {
+    if (!isOpen) {
+      return
+    }
+
+    const initial =
+      options.current.find((option) => isEnabled(option) && option.value === value) ||
+      options.current.find(isEnabled)
+
+    setActiveOptionId(initial ? initial.optionId : null)
+  }, [isOpen])
+
+  // Clicking outside of the button and the popup closes the popup.
+  useEffect(() => {
+    if (!isOpen) {
+      return
+    }
+
+    function handleMouseDown(event) {
+      if (button.current && button.current.contains(event.target)) {
+        return
+      }
+
+      if (popup.current && popup.current.contains(event.target)) {
+        return
+      }
+
+      close({ restoreFocus: false })
+    }
+
+    document.addEventListener('mousedown', handleMouseDown)
+    return () => document.removeEventListener('mousedown', handleMouseDown)
+  }, [isOpen, button, popup, close])
+
+  const select = useCallback(
+    (optionId) => {
+      const bag = options.current.find((option) => option.optionId === optionId)
+
+      // Disabled options are visible, but they can't be selected.
+      if (!bag || !isEnabled(bag)) {
+        return
+      }
+
+      memoizedOnChange.current(bag.value)
+      close({ restoreFocus: true })
+    },
+    [options, memoizedOnChange, close]
+  )
+
+  const activate = useCallback(
+    (optionId) => {
+      const bag = options.current.find((option) => option.optionId === optionId)
+
+      if (!bag || !isEnabled(bag)) {
+        return
+      }
+
+      setActiveOptionId(optionId)
+    },
+    [options, setActiveOptionId]
+  )
+
+  // Same as the focus variants of the <OptionGroup />, but we move the active descendant instead of
+  // the DOM focus.
+  const activateInDirection = useCallback(
+    (direction) => {
+      const activeIndex = options.current.findIndex(({ optionId }) => optionId === activeOptionId)
+      const next = findInDirection(options.current, activeIndex, direction, isEnabled)
+
+      if (!next) {
+        return
+      }
+
+      setActiveOptionId(next.optionId)
+    },
+    [options, activeOptionId, setActiveOptionId]
+  )
+
+  const activateFirst = useCallback(() => {
+    const first = findInDirection(options.current, -1, Direction.Next, isEnabled)
+
+    if (!first) {
+      return
+    }
+
+    setActiveOptionId(first.optionId)
+  }, [options, setActiveOptionId])
+
+  const activateLast = useCallback(() => {
+    const last = findInDirection(
+      options.current,
+      options.current.length,
+      Direction.Previous,
+      isEnabled
+    )
+
+    if (!last) {
+      return
+    }
+
+    setActiveOptionId(last.optionId)
+  }, [options, setActiveOptionId])
+
+  const activateMatching = useCallback(
+    (query) => {
+      const activeIndex = options.current.findIndex(({ optionId }) => optionId === activeOptionId)
+      const match = findMatching(options.current, activeIndex, query)
+
+      if (!match) {
+        return
+      }
+
+      setActiveOptionId(match.optionId)
+    },
+    [options, activeOptionId, setActiveOptionId]
+  )
+
+  // ---
+  // Native form integration, the same as the <OptionGroup />.
+
+  const element = useRef(null)
+
+  // The value we started with, this is what resetting the form goes back to.
+  const initialValue = useRef(value)
+
+  const isEmpty = value === null || value === undefined
+
+  useEffect(() => {
+    const form = element.current ? element.current.closest('form') : null
+
+    if (form === null) {
+      return
+    }
+
+    function handleReset() {
+      memoizedOnChange.current(initialValue.current)
+    }
+
+    form.addEventListener('reset', handleReset)
+    return () => form.removeEventListener('reset', handleReset)
+  }, [element, memoizedOnChange, initialValue])
+
+  // Whether the form tried to submit while nothing was selected in a `required` Listbox. We only
+  // show this after a submit attempt, not right away.
+  const [isInvalid, setIsInvalid] = useState(false)
+
+  useEffect(() => {
+    if (!isEmpty) {
+      setIsInvalid(false)
+    }
+  }, [isEmpty, setIsInvalid])
+
+  function handleInvalid(event) {
+    // We show our own validation message (see `useListboxValidation`) instead of the native
+    // bubble, which would point to an invisible input.
+    event.preventDefault()
+    setIsInvalid(true)
+
+    // Just like the <OptionGroup />, we only take the focus when we are the first invalid control.
+    const form = event.target.form
+    if ((form === null || form.querySelector(':invalid') === event.target) && button.current) {
+      button.current.focus()
+    }
+  }
+
+  const registerOption = useCallback(
+    (value, optionId, element, disabled, textValue) => {
+      // The same bag as the one of the <OptionGroup />, this way we can share the helpers.
+      const bag = { value, optionId, element, disabled, textValue }
+
+      options.current.push(bag)
+
+      return () => {
+        const index = options.current.indexOf(bag)
+        if (index !== -1) {
+          options.current.splice(index, 1)
+        }
+      }
+    },
+    [options]
+  )
+
+  // Same idea as the label of the <OptionGroup />, we only reference a label that exists.
+  const [labelId, setLabelId] = useState(null)
+
+  const registerLabel = useCallback(
+    (labelId) => {
+      setLabelId(labelId)
+
+      return () => {
+        setLabelId(null)
+      }
+    },
+    [setLabelId]
+  )
+
+  const contextBag = useMemo(
+    () => ({
+      listboxId,
+      buttonId,
+      labelId,
+      value,
+      required,
+      isInvalid,
+      validationMessage,
+      isOpen,
+      activeOptionId,
+      button,
+      popup,
+      open,
+      close,
+      select,
+      activate,
+      activateInDirection,
+      activateFirst,
+      activateLast,
+      activateMatching,
+      registerOption,
+      registerLabel,
+    }),
+    [
+      listboxId,
+      buttonId,
+      labelId,
+      value,
+      required,
+      isInvalid,
+      validationMessage,
+      isOpen,
+      activeOptionId,
+      button,
+      popup,
+      open,
+      close,
+      select,
+      activate,
+      activateInDirection,
+      activateFirst,
+      activateLast,
+      activateMatching,
+      registerOption,
+      registerLabel,
+    ]
+  )
+
+  return (
+    <ListboxContext.Provider value={contextBag}>
+      <div {...rest} ref={element}>
+        {children}
+
+        {/* Same as the <OptionGroup />, the selected value ends up in the form. */}
+        {name !== undefined && !isEmpty && <input type="hidden" name={name} value={value} />}
+
+        {/* Same as the <OptionGroup />, a visually hidden input takes part in the validation. */}
+        {required && (
+          <input
+            tabIndex={-1}
+            aria-hidden="true"
+            required
+            value={isEmpty ? '' : 'selected'}
+            onChange={() => {}}
+            onInvalid={handleInvalid}
+            style={VISUALLY_HIDDEN}
+          />
+        )}
+      </div>
+    </ListboxContext.Provider>
+  )
+}
+
+// This is something I would enforce using TypeScript.
+Listbox.defaultProps = {
+  // The name of the hidden input that contains the selected value, just like the name of a native
+  // input. When omitted, nothing ends up in the form.
+  name: undefined,
+
+  // When required, the form can't be submitted while nothing is selected.
+  required: false,
+
+  // Shown (by you, see `useListboxValidation`) when the form is submitted without a selection.
+  validationMessage: 'Please select an option.',
+
+  get value() {
+    throw new Error('The <Listbox /> component requires a `value` prop.')
+  },
+  get onChange() {
+    throw new Error('The <Listbox /> component requires an `onChange` prop.')
+  },
+}
+
+function useListboxContext(component) {
+  const context = useContext(ListboxContext)
+
+  if (context === NO_CONTEXT) {
+    throw new Error(`Used a <${component} /> without a <Listbox />`)
+  }
+
+  return context
+}
+
+/**
+ * The validation state of the closest <Listbox />, the same as `useOptionGroupValidation`.
+ */
+export function useListboxValidation() {
+  const { isInvalid, validationMessage } = useListboxContext('useListboxValidation')
+  return { isInvalid, validationMessage }
+}
+
+// ---
+
+export function ListboxLabel(props) {
+  const { registerLabel, button } = useListboxContext('ListboxLabel')
+
+  const labelId = useId('listbox-label')
+  useEffect(() => registerLabel(labelId), [labelId])
+
+  // A label can't point to a button with `htmlFor`, so we focus the button ourselves. Just like
+  // clicking the label of an input would do.
+  return <label {...props} id={labelId} onClick={() => button.current.focus()} />
+}
+
+export function ListboxButton(props) {
+  const {
+    listboxId,
+    buttonId,
+    labelId,
+    required,
+    isInvalid,
+    isOpen,
+    button,
+    open,
+    close,
+  } = useListboxContext('ListboxButton')
+
+  return (
+    <button
+      {...props}
+      ref={button}
+      id={buttonId}
+      type="button"
+      aria-haspopup="listbox"
+      aria-expanded={isOpen}
+      aria-controls={isOpen ? listboxId : undefined}
+      // The label first, then the button itself (which shows the selected value). This way a
+      // screen reader announces something like "Foot Controller, None".
+      aria-labelledby={labelId === null ? undefined : `${labelId} ${buttonId}`}
+      aria-required={required || undefined}
+      aria-invalid={isInvalid || undefined}
+      onClick={() => (isOpen ? close({ restoreFocus: true }) : open())}
+      onKeyDown={(event) => {
+        // The Enter and Space keys already "click" the button.
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+          event.preventDefault()
+          open()
+        }
+      }}
+    />
+  )
+}
+
+// The popup is only rendered while the listbox is open.
+export function ListboxOptions(props) {
+  const {
+    listboxId,
+    labelId,
+    isOpen,
+    activeOptionId,
+    popup,
+    close,
+    select,
+    activateInDirection,
+    activateFirst,
+    activateLast,
+    activateMatching,
+  } = useListboxContext('ListboxOptions')
+
+  // The popup receives the DOM focus, the options are reached with `aria-activedescendant`.
+  useEffect(() => {
+    if (isOpen && popup.current) {
+      popup.current.focus()
+    }
+  }, [isOpen, popup])
+
+  const handleTypeahead = useTypeahead(activateMatching)
+
+  function handleKeyboardEvent(event) {
+    switch (event.key) {
+      case 'ArrowUp':
+        event.preventDefault()
+        activateInDirection(Direction.Previous)
+        break
+
+      case 'ArrowDown':
+        event.preventDefault()
+        activateInDirection(Direction.Next)
+        break
+
+      case 'Home':
+        event.preventDefault()
+        activateFirst()
+        break
+
+      case 'End':
+        event.preventDefault()
+        activateLast()
+        break
+
+      case 'Enter':
+      case ' ':
+        event.preventDefault()
+        select(activeOptionId)
+        break
+
+      case 'Escape':
+        event.preventDefault()
+        close({ restoreFocus: true })
+        break
+
+      // The focus moves to the next element on the page, the popup shouldn't stay open.
+      case 'Tab':
+        close({ restoreFocus: false })
+        break
+
+      default:
+        if (isTypeaheadKey(event)) {
+          handleTypeahead(event.key)
+        }
+        break
+    }
+  }
+
+  if (!isOpen) {
+    return null
+  }
+
+  return (
+    <ul
+      {...props}
+      ref={popup}
+      id={listboxId}
+      tabIndex={-1}
+      role="listbox"
+      aria-labelledby={labelId}
+      aria-activedescendant={activeOptionId === null ? undefined : activeOptionId}
+      onKeyDown={handleKeyboardEvent}
+    />
+  )
+}
+
+export function ListboxOption(props) {
+  const { value, disabled, textValue, children, ...rest } = props
+
+  const element = useRef(null)
+
+  // Same as the <Option />, we keep these in refs so that the registered bag sees the latest value.
+  const disabledRef = useRef(disabled)
+  useEffect(() => {
+    disabledRef.current = disabled
+  }, [disabled])
+
+  const textValueRef = useRef(textValue)
+  useEffect(() => {
+    textValueRef.current = textValue
+  }, [textValue])
+
+  const {
+    listboxId,
+    value: selectedValue,
+    activeOptionId,
+    select,
+    activate,
+    registerOption,
+  } = useListboxContext('ListboxOption')
+
+  const optionId = useId(`${listboxId}-option`)
+
+  useEffect(() => registerOption(value, optionId, element, disabledRef, textValueRef), [
+    value,
+    optionId,
+    element,
+    disabledRef,
+    textValueRef,
+    registerOption,
+  ])
+
+  // The same state model as the <Option />: we are either in the Default or the Selected state,
+  // combined with the Active and Disabled sub states.
+  const { flags, addFlag, removeFlag, hasFlag } = useFlags()
+
+  const selected = value === selectedValue
+  const active = optionId === activeOptionId
+
+  useEffect(() => {
+    const flag = selected ? OptionState.Selected : OptionState.Default
+    addFlag(flag)
+
+    return () => removeFlag(flag)
+  }, [selected, addFlag, removeFlag])
+
+  useEffect(() => {
+    if (!active) {
+      return
+    }
+
+    addFlag(OptionState.Active)
+
+    // Keep the active option visible when moving through a long list with the keyboard.
+    if (element.current) {
+      element.current.scrollIntoView({ block: 'nearest' })
+    }
+
+    return () => removeFlag(OptionState.Active)
+  }, [active, addFlag, removeFlag, element])
+
+  useEffect(() => {
+    if (!disabled) {
+      return
+    }
+
+    addFlag(OptionState.Disabled)
+
+    return () => removeFlag(OptionState.Disabled)
+  }, [disabled, addFlag, removeFlag])
+
+  return (
+    <li
+      {...rest}
+      id={optionId}
+      ref={element}
+      role="option"
+      aria-selected={hasFlag(OptionState.Selected)}
+      // Same as the <Option />, see `dataState` in `components/flags.js`.
+      data-state={dataState(flags)}
+      aria-disabled={disabled || undefined}
+      onClick={() => select(optionId)}
+      // We use mousemove instead of mouseenter, otherwise an option that ends up below the cursor
+      // while scrolling with the keyboard would steal the active state.
+      onMouseMove={() => {
+        if (!active) {
+          activate(optionId)
+        }
+      }}
+    >
+      {children(flags)}
+    </li>
+  )
+}
+
+// This is something I would enforce using TypeScript.
+ListboxOption.defaultProps = {
+  disabled: false,
+  // When omitted, the rendered text of the option is used for typeahead.
+  textValue: undefined,
+  get value() {
+    throw new Error('The <ListboxOption /> component requires a `value` prop.')
+  },
+  get children() {
+    throw new Error(
+      'The <ListboxOption /> component requires a `children` prop (which must be a function).'
+    )
+  },
+}
+
+// Same as `Option.state`, e.g.: `is(ListboxOption.state.Selected)` (see `components/flags.js`).
+ListboxOption.state = OptionState
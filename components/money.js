@@ -0,0 +1,78 @@
+import { useContext, createContext, useMemo, useState, useCallback, useEffect } from 'react'
+import {
+  Currency,
+  BASE_CURRENCY,
+  CURRENCY_COOKIE,
+  createMoneyFormatter,
+  isSupportedCurrency,
+} from '../utils/money'
+
+const NO_CONTEXT = Symbol('no-context')
+const MoneyContext = createContext(NO_CONTEXT)
+
+// One year, the currency of a customer doesn't change that often.
+const COOKIE_MAX_AGE = 60 * 60 * 24 * 365
+
+/**
+ * Provides a `formatMoney` function to every component that needs to render a price. The locale
+ * and currency are determined on the server (see `getLocalization`), the customer can still pick
+ * another currency which we remember in a cookie.
+ */
+export function MoneyProvider(props) {
+  const { locale, currency: initialCurrency, children } = props
+
+  const [currency, setCurrency] = useState(initialCurrency)
+
+  // The provider lives in `_app.js`, so it stays mounted while the customer navigates between
+  // pages. A page can still dictate the currency (e.g.: an order is shown in the currency it was
+  // placed in), so we follow the currency of every new page.
+  useEffect(() => {
+    setCurrency(initialCurrency)
+  }, [initialCurrency])
+
+  const changeCurrency = useCallback(
+    (currency) => {
+      if (!isSupportedCurrency(currency)) {
+        throw new Error(`Tried to change to "${currency}" but this currency is not supported.`)
+      }
+
+      document.cookie = `${CURRENCY_COOKIE}=${currency}; path=/; max-age=${COOKIE_MAX_AGE}`
+      setCurrency(currency)
+    },
+    [setCurrency]
+  )
+
+  // Creating an Intl.NumberFormat is not free, so let's only do this when the locale or currency
+  // actually changes.
+  const formatMoney = useMemo(() => createMoneyFormatter(locale, currency), [locale, currency])
+
+  const contextBag = useMemo(
+    () => ({
+      locale,
+      currency,
+      currencies: Object.values(Currency),
+      changeCurrency,
+      formatMoney,
+    }),
+    [locale, currency, changeCurrency, formatMoney]
+  )
+
+  return <MoneyContext.Provider value={contextBag}>{children}</MoneyContext.Provider>
+}
+
+MoneyProvider.defaultProps = {
+  // Pages that don't call `getLocalization` (e.g.: the 404 page) still render prices in a sensible
+  // way.
+  locale: 'en-US',
+  currency: BASE_CURRENCY,
+}
+
+export function useMoney() {
+  const context = useContext(MoneyContext)
+
+  if (context === NO_CONTEXT) {
+    throw new Error('Used useMoney() without a <MoneyProvider />')
+  }
+
+  return context
+}
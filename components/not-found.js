@@ -0,0 +1,28 @@
+import ErrorPage from 'next/error'
+
+// We can't return a 404 from `getServerSideProps` in this version of Next.js. Instead, the page
+// calls `markNotFound` to set the status code itself, and renders the <NotFound /> page:
+//
+// export default function Page(props) {
+//   if (props.record === null) {
+//     return <NotFound />
+//   }
+//   ...
+// }
+//
+// export async function getServerSideProps(context) {
+//   const record = await getRecord(context.params.id)
+//
+//   if (record === null) {
+//     markNotFound(context)
+//   }
+//   ...
+// }
+
+export function NotFound() {
+  return <ErrorPage statusCode={404} />
+}
+
+export function markNotFound(context) {
+  context.res.statusCode = 404
+}
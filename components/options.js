@@ -1,55 +1,116 @@
-import { useContext, createContext, useMemo, useState, useRef, useCallback, useEffect } from 'react'
+import {
+  useContext,
+  createContext,
+  useMemo,
+  useState,
+  useRef,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  forwardRef,
+} from 'react'
+import { useId } from './use-id'
+import { OptionState, useFlags, dataState } from './flags'
+import {
+  Direction,
+  useMemoizedFunctionRef,
+  findInDirection,
+  isEnabled,
+  findMatching,
+  useTypeahead,
+  isTypeaheadKey,
+  VISUALLY_HIDDEN,
+} from './collection'
 
 const NO_CONTEXT = Symbol('no-context')
 const OptionContext = createContext(NO_CONTEXT)
 
-// Emulating an enum here. Okay, the web dev community might not be ready for this, but hear me out.
-// In the game industry, a lot of state is encoded in a single number. Bitmasking is used to combine
-// states and check if the value is in a certain state (or multiple at the same time). This is
-// efficient because you can just store a single number (granted, we don't need this performance per
-// se, but hey it's a nice benefit). But the API it unlocks is quite interesting. I might totally
-// lose you here or I might get you to fall in love with my solution. Either way, my goal was to
-// experiment with a solution by thinking outside of the box. Just give it a minute or two!
-const OptionState = {
-  // Main states:
-  Default: 1 << 0,
-  Selected: 1 << 1,
-
-  // Sub states:
-  Active: 1 << 2, // You can think of it as "hover" but less technical.
-  Focused: 1 << 3,
-}
+// Emulating an enum again. This controls what happens when you move through the options with the
+// keyboard. This is the "selection follows focus" vs "manual activation" pattern from the WAI-ARIA
+// Authoring Practices.
+const Activation = {
+  // Moving with the arrow keys selects the option right away.
+  Automatic: 'automatic',
 
-let id = 0
-function generateId() {
-  return ++id
+  // Moving with the arrow keys only moves focus, the Space or Enter key selects the focused option.
+  // Useful when selecting an option is expensive (e.g.: it fetches a new price).
+  Manual: 'manual',
 }
 
-// Note: This might not be 100% compatible with concurrent mode. But concurrent mode is still
-// experimental, I am not going to implement it just yet because the API might change.
-//
-// You could use a ref here, but the useRef hook doesn't have an initializer function, useState does
-// have an initializer function so the ID stays the same during multiple renders!
-function useId(prefix) {
-  const [id] = useState(generateId)
-  return `${prefix}-${id}`
-}
+// ---
 
-// This allows us to keep the ref the same object, but the `current` value inside will update with
-// the new value all the time.
-function useMemoizedFunctionRef(fn) {
-  const memoizedFunctionRef = useRef(fn)
-  useEffect(() => {
-    memoizedFunctionRef.current = fn
-  }, [fn])
+/**
+ * The OptionGroup can be used in 2 ways:
+ *
+ * - Controlled: you pass the `active` value and update it yourself in the `onChange` callback.
+ * - Uncontrolled: you (optionally) pass a `defaultValue`, and the OptionGroup keeps track of the
+ *   active value itself. The `onChange` callback is optional, and is still called on every change.
+ *
+ * The ref exposes an imperative handle: `focus()`, `select(value)` and `reset()`.
+ *
+ * Inside of a `<form>`, the `name` prop renders hidden inputs with the selected value(s), the
+ * `required` prop takes part in the validation of the form, and resetting the form resets the
+ * OptionGroup as well.
+ */
+export const OptionGroup = forwardRef(function OptionGroup(props, ref) {
+  const {
+    onChange,
+    active: controlledActive,
+    defaultValue,
+    multiple,
+    activation: preferredActivation,
+    name,
+    required,
+    validationMessage,
+    children,
+    ...rest
+  } = props
+
+  if (!Object.values(Activation).includes(preferredActivation)) {
+    throw new Error(
+      `The <OptionGroup /> component received an invalid \`activation\` prop: "${preferredActivation}".`
+    )
+  }
 
-  return memoizedFunctionRef
-}
+  // Toggling an option on every arrow key press would be very annoying, therefore the `multiple`
+  // mode always uses manual activation.
+  const activation = multiple ? Activation.Manual : preferredActivation
 
-// ---
+  // Whether we are controlled is decided once, on the first render. Switching between the two
+  // modes would mean that we have 2 sources of truth, so let's fail loudly instead.
+  const [isControlled] = useState(controlledActive !== undefined)
 
-export function OptionGroup(props) {
-  const { onChange, active, ...rest } = props
+  if (isControlled !== (controlledActive !== undefined)) {
+    throw new Error(
+      isControlled
+        ? 'The <OptionGroup /> component switched from controlled to uncontrolled, make sure the `active` prop is never `undefined`.'
+        : 'The <OptionGroup /> component switched from uncontrolled to controlled, use the `defaultValue` prop instead of the `active` prop.'
+    )
+  }
+
+  // The state of the uncontrolled mode. Without a `defaultValue`, nothing is selected.
+  const [uncontrolledActive, setUncontrolledActive] = useState(() =>
+    defaultValue !== undefined ? defaultValue : multiple ? [] : null
+  )
+
+  const active = isControlled ? controlledActive : uncontrolledActive
+
+  // In controlled mode the selection can only change through the `onChange` callback, so we still
+  // require it. Only the uncontrolled mode can do without.
+  if (isControlled && onChange === undefined) {
+    throw new Error('The <OptionGroup /> component requires an `onChange` prop.')
+  }
+
+  // In `multiple` mode the `active` prop is a list of values instead of a single value. Let's fail
+  // early (and loudly) instead of silently treating a single value as a list.
+  if (multiple && !Array.isArray(active)) {
+    throw new Error(
+      'The <OptionGroup multiple /> component requires the `active` (or `defaultValue`) prop to be an array.'
+    )
+  }
+
+  // The value we started with, this is what `reset()` goes back to.
+  const initialActive = useRef(active)
 
   // We can memoize the onChange here, this way we can update the internal ref all the time, this
   // also allows us to use this component as:
@@ -60,6 +121,20 @@ export function OptionGroup(props) {
   // optimization to fall into the pit of success!
   const memoizedOnChange = useMemoizedFunctionRef(onChange)
 
+  // Every change goes through here. In the uncontrolled mode we update our own state as well.
+  const change = useCallback(
+    (value) => {
+      if (!isControlled) {
+        setUncontrolledActive(value)
+      }
+
+      if (memoizedOnChange.current !== undefined) {
+        memoizedOnChange.current(value)
+      }
+    },
+    [isControlled, setUncontrolledActive, memoizedOnChange]
+  )
+
   // Let's keep track of all the options. We are going to use a ref because we don't want to
   // re-render the parent every time a child updates. We keep track of them so that we can use the
   // arrow keys to go back and forth between the options.
@@ -67,16 +142,49 @@ export function OptionGroup(props) {
 
   // Creating functions that are "cached" as long as the dependencies don't change. This allows us
   // to keep the same identity when passing them through via context.
-  const isSelected = useCallback((value) => value === active, [active])
+  const isSelected = useCallback(
+    (value) => (multiple ? active.includes(value) : value === active),
+    [multiple, active]
+  )
 
-  const select = useCallback(
+  // In the single value mode the selected option is the one that is reachable with the tab key. In
+  // `multiple` mode there could be zero or many selected options, so instead we keep track of the
+  // option that was focused the last time. This is also known as a "roving tabindex". The same goes
+  // for an uncontrolled group without a `defaultValue`, where nothing is selected yet.
+  const [focusedOptionId, setFocusedOptionId] = useState(null)
+  const usesRovingTabIndex = multiple || active === null
+
+  const isTabbable = useCallback(
+    (optionId, value) => (usesRovingTabIndex ? optionId === focusedOptionId : isSelected(value)),
+    [usesRovingTabIndex, focusedOptionId, isSelected]
+  )
+
+  // Ensure that there is always a tabbable option when we use a roving tabindex. The options
+  // register themselves in a ref, effects of the children run before the effects of the parent,
+  // which means that all the options are registered by the time this runs. We re-check whenever the
+  // focused option or the selection changes, not on every render.
+  useEffect(() => {
+    if (!usesRovingTabIndex) {
+      return
+    }
+
+    if (options.current.some((option) => option.optionId === focusedOptionId)) {
+      return
+    }
+
+    // Prefer the first selected option, otherwise fallback to the very first enabled option.
+    const fallback =
+      options.current.find((option) => isEnabled(option) && isSelected(option.value)) ||
+      options.current.find(isEnabled)
+
+    setFocusedOptionId(fallback ? fallback.optionId : null)
+  }, [usesRovingTabIndex, focusedOptionId, isSelected, options])
+
+  const focus = useCallback(
     (optionId) => {
       // Find the bag with all the info in it.
       const bag = options.current.find((option) => option.optionId === optionId)
 
-      // Let's call the onChange prop with the value we want to select.
-      memoizedOnChange.current(bag.value)
-
       // Schedule to focus the correct DOM element. We schedule this so that we can ensure that the
       // UI has been rendered already when we are trying to focus the actual DOM element.
       //
@@ -94,14 +202,40 @@ export function OptionGroup(props) {
         bag.element.current.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
       })
     },
-    [options, memoizedOnChange]
+    [options]
+  )
+
+  const select = useCallback(
+    (optionId) => {
+      // Find the bag with all the info in it.
+      const bag = options.current.find((option) => option.optionId === optionId)
+
+      // Disabled options are visible, but they can't be selected.
+      if (!isEnabled(bag)) {
+        return
+      }
+
+      // Let's call the onChange prop with the value we want to select. In `multiple` mode we toggle
+      // the value, and we keep the order of the `active` list intact.
+      change(
+        multiple
+          ? active.includes(bag.value)
+            ? active.filter((value) => value !== bag.value)
+            : [...active, bag.value]
+          : bag.value
+      )
+
+      focus(optionId)
+    },
+    [options, multiple, active, change, focus]
   )
 
   const registerOption = useCallback(
-    (value, optionId, element) => {
+    (value, optionId, element, disabled, textValue) => {
       // A small bag containing all the necessary information. This way we can have a reference in
-      // the cleanup function.
-      const bag = { value, optionId, element }
+      // the cleanup function. The `disabled` and `textValue` values are refs as well, this way
+      // changing them doesn't re-register the option (which would move it to the end of the list).
+      const bag = { value, optionId, element, disabled, textValue }
 
       // Register the option in the list of options.
       options.current.push(bag)
@@ -120,18 +254,220 @@ export function OptionGroup(props) {
 
   const selectPrevious = useCallback(() => {
     const activeIndex = options.current.findIndex(({ value }) => value === active)
-    const previousIndex = (activeIndex + options.current.length - 1) % options.current.length
+    const previous = findInDirection(options.current, activeIndex, Direction.Previous, isEnabled)
 
-    return select(options.current[previousIndex].optionId)
+    // All the options are disabled, nothing to select.
+    if (!previous) {
+      return
+    }
+
+    return select(previous.optionId)
   }, [options, active, select])
 
   const selectNext = useCallback(() => {
     const activeIndex = options.current.findIndex(({ value }) => value === active)
-    const nextIndex = (activeIndex + 1) % options.current.length
+    const next = findInDirection(options.current, activeIndex, Direction.Next, isEnabled)
+
+    // All the options are disabled, nothing to select.
+    if (!next) {
+      return
+    }
 
-    return select(options.current[nextIndex].optionId)
+    return select(next.optionId)
   }, [options, active, select])
 
+  // In manual activation mode the arrow keys only move the focus around, selecting happens with the
+  // Space (or Enter) key. We use the focused option as the starting point instead of the selected
+  // option.
+  const focusPrevious = useCallback(() => {
+    const focusedIndex = options.current.findIndex(({ optionId }) => optionId === focusedOptionId)
+    const previous = findInDirection(options.current, focusedIndex, Direction.Previous, isEnabled)
+
+    if (!previous) {
+      return
+    }
+
+    return focus(previous.optionId)
+  }, [options, focusedOptionId, focus])
+
+  const focusNext = useCallback(() => {
+    const focusedIndex = options.current.findIndex(({ optionId }) => optionId === focusedOptionId)
+    const next = findInDirection(options.current, focusedIndex, Direction.Next, isEnabled)
+
+    if (!next) {
+      return
+    }
+
+    return focus(next.optionId)
+  }, [options, focusedOptionId, focus])
+
+  // The Home and End keys jump to the first or the last (enabled) option. Just like the arrow keys
+  // there is a version that selects and a version that only moves focus.
+  const selectFirst = useCallback(() => {
+    const first = findInDirection(options.current, -1, Direction.Next, isEnabled)
+
+    if (!first) {
+      return
+    }
+
+    return select(first.optionId)
+  }, [options, select])
+
+  const selectLast = useCallback(() => {
+    const last = findInDirection(
+      options.current,
+      options.current.length,
+      Direction.Previous,
+      isEnabled
+    )
+
+    if (!last) {
+      return
+    }
+
+    return select(last.optionId)
+  }, [options, select])
+
+  const focusFirst = useCallback(() => {
+    const first = findInDirection(options.current, -1, Direction.Next, isEnabled)
+
+    if (!first) {
+      return
+    }
+
+    return focus(first.optionId)
+  }, [options, focus])
+
+  const focusLast = useCallback(() => {
+    const last = findInDirection(
+      options.current,
+      options.current.length,
+      Direction.Previous,
+      isEnabled
+    )
+
+    if (!last) {
+      return
+    }
+
+    return focus(last.optionId)
+  }, [options, focus])
+
+  // Typeahead, move to the next option of which the text starts with the given query.
+  const selectMatching = useCallback(
+    (query) => {
+      const activeIndex = options.current.findIndex(({ value }) => value === active)
+      const match = findMatching(options.current, activeIndex, query)
+
+      if (!match) {
+        return
+      }
+
+      return select(match.optionId)
+    },
+    [options, active, select]
+  )
+
+  const focusMatching = useCallback(
+    (query) => {
+      const focusedIndex = options.current.findIndex(({ optionId }) => optionId === focusedOptionId)
+      const match = findMatching(options.current, focusedIndex, query)
+
+      if (!match) {
+        return
+      }
+
+      return focus(match.optionId)
+    },
+    [options, focusedOptionId, focus]
+  )
+
+  // Focus the option that is reachable with the Tab key, just like tabbing into the group.
+  const focusGroup = useCallback(() => {
+    const bag =
+      options.current.find((option) => isTabbable(option.optionId, option.value)) ||
+      options.current.find(isEnabled)
+
+    if (bag) {
+      focus(bag.optionId)
+    }
+  }, [options, isTabbable, focus])
+
+  // The imperative handle, for the (rare) cases where you can't express something with props. E.g.:
+  // focusing the group after a validation error, or resetting a form.
+  useImperativeHandle(
+    ref,
+    () => ({
+      focus: focusGroup,
+
+      // Select the option with the given value. Unlike clicking, this never deselects an option in
+      // `multiple` mode.
+      select(value) {
+        const bag = options.current.find((option) => option.value === value)
+
+        if (!bag || !isEnabled(bag) || isSelected(value)) {
+          return
+        }
+
+        change(multiple ? [...active, value] : value)
+      },
+
+      // Go back to the value we started with.
+      reset() {
+        change(initialActive.current)
+      },
+    }),
+    [options, focusGroup, isSelected, change, multiple, active, initialActive]
+  )
+
+  // ---
+  // Native form integration. The OptionGroup is not a form control, so we render (hidden) inputs
+  // that take part in the form on our behalf.
+
+  const element = useRef(null)
+
+  const isEmpty = multiple ? active.length === 0 : active === null || active === undefined
+
+  // Resetting the form goes back to the value we started with, just like native inputs do.
+  useEffect(() => {
+    const form = element.current ? element.current.closest('form') : null
+
+    if (form === null) {
+      return
+    }
+
+    function handleReset() {
+      change(initialActive.current)
+    }
+
+    form.addEventListener('reset', handleReset)
+    return () => form.removeEventListener('reset', handleReset)
+  }, [element, change, initialActive])
+
+  // Whether the form tried to submit while nothing was selected in a `required` group. We only show
+  // this after a submit attempt, not right away.
+  const [isInvalid, setIsInvalid] = useState(false)
+
+  useEffect(() => {
+    if (!isEmpty) {
+      setIsInvalid(false)
+    }
+  }, [isEmpty, setIsInvalid])
+
+  function handleInvalid(event) {
+    // We show our own validation message (see `useOptionGroupValidation`) instead of the native
+    // bubble, which would point to an invisible input.
+    event.preventDefault()
+    setIsInvalid(true)
+
+    // The browser normally focuses the first invalid control of the form. Since we prevented that,
+    // we do it ourselves, but only when we are that first invalid control.
+    const form = event.target.form
+    if (form === null || form.querySelector(':invalid') === event.target) {
+      focusGroup()
+    }
+  }
+
   const groupId = useId('option-group')
 
   // We could do something similar to the groupId. However if we generate a labelId up front and
@@ -159,42 +495,114 @@ export function OptionGroup(props) {
     () => ({
       groupId,
       labelId,
+      multiple,
+      activation,
+      required,
+      isInvalid,
+      validationMessage,
       registerLabel,
       registerOption,
       isSelected,
+      isTabbable,
+      setFocusedOptionId,
       select,
       selectPrevious,
       selectNext,
+      selectFirst,
+      selectLast,
+      selectMatching,
+      focusPrevious,
+      focusNext,
+      focusFirst,
+      focusLast,
+      focusMatching,
     }),
     [
       groupId,
       labelId,
+      multiple,
+      activation,
+      required,
+      isInvalid,
+      validationMessage,
       registerLabel,
       registerOption,
       isSelected,
+      isTabbable,
+      setFocusedOptionId,
       select,
       selectPrevious,
       selectNext,
+      selectFirst,
+      selectLast,
+      selectMatching,
+      focusPrevious,
+      focusNext,
+      focusFirst,
+      focusLast,
+      focusMatching,
     ]
   )
 
   return (
     <OptionContext.Provider value={contextBag}>
-      <div {...rest} />
+      <div {...rest} ref={element}>
+        {children}
+
+        {/* The selected value(s) end up in the `FormData`, and in the request when the form is
+            posted without JavaScript. */}
+        {name !== undefined &&
+          (multiple ? active : isEmpty ? [] : [active]).map((value) => (
+            <input key={value} type="hidden" name={name} value={value} />
+          ))}
+
+        {/* Hidden inputs are not validated by the browser, so we use a visually hidden input
+            instead. It doesn't have a name, this way it doesn't end up in the `FormData`. */}
+        {required && (
+          <input
+            tabIndex={-1}
+            aria-hidden="true"
+            required
+            value={isEmpty ? '' : 'selected'}
+            onChange={() => {}}
+            onInvalid={handleInvalid}
+            style={VISUALLY_HIDDEN}
+          />
+        )}
+      </div>
     </OptionContext.Provider>
   )
-}
+})
 
 OptionGroup.defaultProps = {
-  // This is something I would enforce using TypeScript.
-  get active() {
-    throw new Error('The <OptionGroup /> component requires an `active` prop.')
-  },
-  get onChange() {
-    throw new Error('The <OptionGroup /> component requires an `onChange` prop.')
-  },
+  // When enabled, the `active` prop is an array and every option can be toggled individually, just
+  // like a group of checkboxes.
+  multiple: false,
+
+  // Whether the arrow keys select the option right away, or only move focus. Use the
+  // `OptionGroup.activation` enum.
+  activation: Activation.Automatic,
+
+  // Omit the `active` prop to use the OptionGroup in uncontrolled mode, optionally starting from
+  // the `defaultValue`.
+  active: undefined,
+  defaultValue: undefined,
+
+  // Required in controlled mode, optional in uncontrolled mode.
+  onChange: undefined,
+
+  // The name of the hidden input(s) that contain the selected value(s), just like the name of a
+  // native input. When omitted, nothing ends up in the form.
+  name: undefined,
+
+  // When required, the form can't be submitted while nothing is selected.
+  required: false,
+  validationMessage: 'Please select an option.',
 }
 
+// Same idea as `Option.state`, e.g.: `<OptionGroup activation={OptionGroup.activation.Manual} />`.
+OptionGroup.activation = Activation
+
 function useOptionContext() {
   // When there is no Provider, the "default" context is used, but we don't want that, we want to
   // enforce that the <OptionGroup /> is present!
@@ -210,6 +618,22 @@ function useOptionContext() {
   return context
 }
 
+/**
+ * The validation state of the closest <OptionGroup />, so that you can render the validation
+ * message wherever you want:
+ *
+ * ```js
+ * function ValidationMessage() {
+ *   const { isInvalid, validationMessage } = useOptionGroupValidation()
+ *   return isInvalid ? <p role="alert">{validationMessage}</p> : null
+ * }
+ * ```
+ */
+export function useOptionGroupValidation() {
+  const { isInvalid, validationMessage } = useOptionContext()
+  return { isInvalid, validationMessage }
+}
+
 // ---
 
 export function Option(props) {
@@ -217,15 +641,37 @@ export function Option(props) {
   // this is mainly to prevent the introduction of implicit components (e.g.: Adding a font-size on
   // a badge which makes it a "big badge"). However this component is so low-level that I don't
   // really mind.
-  const { value, children, ...rest } = props
+  const { value, disabled, textValue, children, ...rest } = props
 
   // We need access to the raw DOM element so that we can manage its focus or scroll it into view
   // when required.
   const element = useRef(null)
 
+  // The OptionGroup needs to know whether this option is disabled so that it can skip it. We store
+  // it in a ref (and keep it up to date) so that the registered bag always sees the latest value.
+  const disabledRef = useRef(disabled)
+  useEffect(() => {
+    disabledRef.current = disabled
+  }, [disabled])
+
+  // Same idea for the text that is used for typeahead.
+  const textValueRef = useRef(textValue)
+  useEffect(() => {
+    textValueRef.current = textValue
+  }, [textValue])
+
   // We can safely destructure the required properties because if the context was not available an
   // error would have been thrown at this point.
-  const { groupId, isSelected, select, registerOption } = useOptionContext()
+  const {
+    groupId,
+    multiple,
+    activation,
+    isSelected,
+    isTabbable,
+    setFocusedOptionId,
+    select,
+    registerOption,
+  } = useOptionContext()
 
   // Let's generate an optionId based on the groupId. Not really necessary, but it is nice to see
   // the related ID's in the DOM.
@@ -233,16 +679,18 @@ export function Option(props) {
 
   // Keep track of the option. We return the registerOption so that the cleanup function can run
   // when the cleanup of the effect is run.
-  useEffect(() => registerOption(value, optionId, element), [
+  useEffect(() => registerOption(value, optionId, element, disabledRef, textValueRef), [
     value,
     optionId,
     element,
+    disabledRef,
+    textValueRef,
     registerOption,
   ])
 
   // So here is where it gets interesting. Let's introduce state as a single value. I named it
-  // useGameState because of the aforementioned game industry ideas.
-  const { flags, addFlag, removeFlag, hasFlag } = useGameState()
+  // useFlags because of the aforementioned game industry ideas.
+  const { flags, addFlag, removeFlag, hasFlag } = useFlags()
 
   // The way we implemented this option group means that we are at least in the Default or the
   // Selected state. There could be additional states (Active and Focused) but those are more
@@ -265,6 +713,20 @@ export function Option(props) {
     }
   }, [isSelected, value, addFlag, removeFlag, OptionState])
 
+  // The Disabled state can be combined with the Default or Selected state. E.g.: an option that was
+  // selected before it went out of stock.
+  useEffect(() => {
+    if (!disabled) {
+      return
+    }
+
+    addFlag(OptionState.Disabled)
+
+    return () => {
+      removeFlag(OptionState.Disabled)
+    }
+  }, [disabled, addFlag, removeFlag, OptionState])
+
   return (
     <li
       // Spreading the incoming props first so that we ensure that we still have control over
@@ -272,33 +734,67 @@ export function Option(props) {
       {...rest}
       id={optionId}
       ref={element}
-      role="radio"
+      role={multiple ? 'checkbox' : 'radio'}
       tabIndex={
         // We want to make the selected item focusable (0), in all other cases, we don't want the
         // item to be focusable (-1). Otherwise you have to loop through all the options before you
-        // can go to the next group, yikes.
-        hasFlag(OptionState.Selected) ? 0 : -1
+        // can go to the next group, yikes. In `multiple` mode this is the last focused item.
+        isTabbable(optionId, value) ? 0 : -1
       }
       aria-checked={hasFlag(OptionState.Selected)}
+      // E.g.: `data-state="selected focused"`, for plain CSS without a render prop. See `dataState`
+      // in `components/flags.js`.
+      data-state={dataState(flags)}
+      // The states that `aria-checked` doesn't cover, for the `option-*` Tailwind variants (see
+      // `tailwind/option-states.js`). A missing attribute means that the state is off.
+      data-active={hasFlag(OptionState.Active) || undefined}
+      data-focused={hasFlag(OptionState.Focused) || undefined}
+      aria-disabled={disabled || undefined}
       onClick={() => select(optionId)}
-      onFocus={() => addFlag(OptionState.Focused)}
+      onKeyDown={(event) => {
+        // The Space key toggles (or selects) the focused option. We prevent the default behaviour
+        // so that the page doesn't scroll. In manual activation mode the Enter key commits the
+        // selection as well (but not for checkboxes, those only react to the Space key).
+        if (
+          event.key === ' ' ||
+          (event.key === 'Enter' && activation === Activation.Manual && !multiple)
+        ) {
+          event.preventDefault()
+          select(optionId)
+        }
+      }}
+      onFocus={() => {
+        addFlag(OptionState.Focused)
+        setFocusedOptionId(optionId)
+      }}
       onBlur={() => removeFlag(OptionState.Focused)}
-      onMouseEnter={() => addFlag(OptionState.Active)}
+      onMouseEnter={() => {
+        // A disabled option doesn't react to the mouse.
+        if (disabled) {
+          return
+        }
+
+        addFlag(OptionState.Active)
+      }}
       onMouseLeave={() => removeFlag(OptionState.Active)}
     >
-      {children(flags)}
+      {/* A render prop receives the flags, plain children can use the `data-state` attribute. */}
+      {typeof children === 'function' ? children(flags) : children}
     </li>
   )
 }
 
 // This is something I would enforce using TypeScript.
 Option.defaultProps = {
+  disabled: false,
+  // When omitted, the rendered text of the option is used for typeahead.
+  textValue: undefined,
   get value() {
     throw new Error('The <Option /> component requires a `value` prop.')
   },
   get children() {
     throw new Error(
-      'The <Option /> component requires a `children` prop (which must be a function).'
+      'The <Option /> component requires a `children` prop (a function, or regular children).'
     )
   },
 }
@@ -323,20 +819,79 @@ export function OptionGroupLabel(props) {
 }
 
 export function Options(props) {
-  const { groupId, labelId, selectPrevious, selectNext } = useOptionContext()
+  const {
+    groupId,
+    labelId,
+    multiple,
+    activation,
+    required,
+    isInvalid,
+    selectPrevious,
+    selectNext,
+    selectFirst,
+    selectLast,
+    selectMatching,
+    focusPrevious,
+    focusNext,
+    focusFirst,
+    focusLast,
+    focusMatching,
+  } = useOptionContext()
+
+  const handleTypeahead = useTypeahead((query) => {
+    if (activation === Activation.Manual) {
+      focusMatching(query)
+    } else {
+      selectMatching(query)
+    }
+  })
 
   function handleKeyboardEvent(event) {
     switch (event.key) {
       case 'ArrowLeft':
       case 'ArrowUp':
         event.preventDefault()
-        selectPrevious()
+        // In manual activation mode the arrow keys only move focus, selecting happens with the
+        // Space (or Enter) key.
+        if (activation === Activation.Manual) {
+          focusPrevious()
+        } else {
+          selectPrevious()
+        }
         break
 
       case 'ArrowRight':
       case 'ArrowDown':
         event.preventDefault()
-        selectNext()
+        if (activation === Activation.Manual) {
+          focusNext()
+        } else {
+          selectNext()
+        }
+        break
+
+      case 'Home':
+        event.preventDefault()
+        if (activation === Activation.Manual) {
+          focusFirst()
+        } else {
+          selectFirst()
+        }
+        break
+
+      case 'End':
+        event.preventDefault()
+        if (activation === Activation.Manual) {
+          focusLast()
+        } else {
+          selectLast()
+        }
+        break
+
+      default:
+        if (isTypeaheadKey(event)) {
+          handleTypeahead(event.key)
+        }
         break
     }
   }
@@ -346,63 +901,11 @@ export function Options(props) {
       {...props}
       id={groupId}
       tabIndex={-1}
-      role="radiogroup"
+      role={multiple ? 'group' : 'radiogroup'}
       aria-labelledby={labelId}
+      aria-required={required || undefined}
+      aria-invalid={isInvalid || undefined}
       onKeyDown={handleKeyboardEvent}
     />
   )
 }
-
-/**
- * I made a small abstraction here. But this essentially mimics the multi-states in a single number
- * approach from the game industry. We probably wouldn't use this in a production application
- * because it might be too confusing. But why not experiment?
- */
-function useGameState(initial_state = 0) {
-  const [flags, setFlags] = useState(initial_state)
-
-  /**
-   * You can combine 2 bits by doing a bitwise "or" -> |
-   *
-   *   0001       I wrote this as `1 << 0` above.
-   *   0010       I wrote this as `1 << 1` above.
-   * | ----       Using bitwise "or".
-   *   0011
-   */
-  const addFlag = useCallback((flag) => setFlags((flags) => flags | flag), [setFlags])
-
-  /**
-   * Imagine you now have that single number `0011`, and you want to check if `1 << 0` or `1 << 1`
-   * is "inside" of it.
-   *
-   *   0011       The result of `(1 << 0) | (1 << 1)`.
-   *   0001       The value `1 << 0`.
-   * & ----       Using bitwise "and".
-   *   0001       This contains a `1` this means that the value is greater than `0` and thus truthy!
-   *
-   *
-   *   0011       The result of `(1 << 0) | (1 << 1)`.
-   *   0010       The value `1 << 1`.
-   * & ----       Using bitwise "and".
-   *   0010       This contains a `1` this means that the value is greater than `0` and thus truthy!
-   */
-  const hasFlag = useCallback((flag) => Boolean(flags & flag), [flags])
-
-  /**
-   * Now, let's imagine that we want to "remove" a flag. You can do this with the bitwise "not" and
-   * bitwise "and".
-   *
-   *   0010       The flag we want to remove.
-   * ~ ----       Using bitwise "not".
-   *   1101       The flag we want to remove, but now inverted.
-   *              The result of `~(1 << 1)`. Note: JavaScript uses two's-complement notation.
-   *
-   *   0011       The result of `(1 << 0) | (1 << 1)`.
-   *   1101       The result of the inverted flag we want to remove.
-   * & ----       Using bitwise "and".
-   *   0001       The value without the flag we wanted to remove!
-   */
-  const removeFlag = useCallback((flag) => setFlags((flags) => flags & ~flag), [setFlags])
-
-  return { flags, addFlag, removeFlag, hasFlag }
-}
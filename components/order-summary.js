@@ -0,0 +1,88 @@
+import { useRef } from 'react'
+import { useMoney } from './money'
+import { Dialog, DialogOverlay, DialogTitle, DialogDescription } from './dialog'
+
+/**
+ * Shows the result of placing (or updating) an order. The `submission` is either `{ order }` with
+ * the order that the server stored, or `{ error, details }` when the server refused it. The summary
+ * is based on the line items and the discounts that the server calculated, not on the prices in
+ * the browser.
+ */
+export function OrderSummaryDialog(props) {
+  const { submission, isUpdate, onClose } = props
+  const { formatMoney } = useMoney()
+
+  const closeButton = useRef(null)
+
+  const { order } = submission
+
+  return (
+    <Dialog
+      onClose={onClose}
+      initialFocus={closeButton}
+      className="fixed inset-0 z-50 flex items-center justify-center p-4"
+    >
+      <DialogOverlay className="fixed inset-0 bg-gray-900 bg-opacity-75" />
+
+      <div className="relative w-full max-w-lg p-6 space-y-4 bg-white rounded-lg shadow-xl">
+        {order === undefined ? (
+          <>
+            <DialogTitle className="text-lg font-medium leading-7 text-gray-900">
+              {isUpdate ? "We couldn't update the order" : "We couldn't place your order"}
+            </DialogTitle>
+            <DialogDescription className="text-sm leading-5 text-gray-500">
+              {submission.error}
+            </DialogDescription>
+            {Boolean(submission.details) && (
+              <ul className="pl-5 space-y-1 text-sm leading-5 text-red-600 list-disc">
+                {submission.details.map((detail) => (
+                  <li key={detail}>{detail}</li>
+                ))}
+              </ul>
+            )}
+          </>
+        ) : (
+          <>
+            <DialogTitle className="text-lg font-medium leading-7 text-gray-900">
+              {isUpdate ? `Order ${order.id} updated` : `Order ${order.id} placed`}
+            </DialogTitle>
+            <DialogDescription className="text-sm leading-5 text-gray-500">
+              {isUpdate
+                ? 'The order has been updated with the new configuration.'
+                : 'Thank you for your order! This is what you bought.'}
+            </DialogDescription>
+            <dl className="text-sm leading-5 border-t border-b border-gray-200 divide-y divide-gray-200">
+              {order.lineItems.map((lineItem) => (
+                <div key={lineItem.id} className="flex justify-between py-2 space-x-4">
+                  <dt className="text-gray-500">{lineItem.title}</dt>
+                  <dd className="text-gray-900">{formatMoney(lineItem.price)}</dd>
+                </div>
+              ))}
+              {(order.discounts || []).map((discount) => (
+                <div key={discount.id} className="flex justify-between py-2 space-x-4">
+                  <dt className="text-gray-500">{discount.title}</dt>
+                  <dd className="text-green-600">- {formatMoney(discount.amount)}</dd>
+                </div>
+              ))}
+              <div className="flex justify-between py-2 space-x-4 font-medium">
+                <dt className="text-gray-900">Total</dt>
+                <dd className="text-gray-900">{formatMoney(order.total)}</dd>
+              </div>
+            </dl>
+          </>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            ref={closeButton}
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-base font-medium leading-5 text-white transition duration-150 ease-in-out bg-gray-900 border border-transparent rounded-md hover:bg-gray-700 focus:outline-none focus:shadow-outline-gray"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </Dialog>
+  )
+}
@@ -0,0 +1,16 @@
+import { useState } from 'react'
+
+let id = 0
+function generateId() {
+  return ++id
+}
+
+// Note: This might not be 100% compatible with concurrent mode. But concurrent mode is still
+// experimental, I am not going to implement it just yet because the API might change.
+//
+// You could use a ref here, but the useRef hook doesn't have an initializer function, useState does
+// have an initializer function so the ID stays the same during multiple renders!
+export function useId(prefix) {
+  const [id] = useState(generateId)
+  return `${prefix}-${id}`
+}
@@ -1,6 +1,15 @@
 import 'tailwindcss/tailwind.css'
+import { MoneyProvider } from '../components/money'
+import { CartProvider } from '../components/cart'
 
 // This default export is required in a new `pages/_app.js` file.
 export default function MyApp({ Component, pageProps }) {
-  return <Component {...pageProps} />
+  return (
+    // The `locale` and `currency` are provided by the `getServerSideProps` of the page (if any).
+    <MoneyProvider locale={pageProps.locale} currency={pageProps.currency}>
+      <CartProvider>
+        <Component {...pageProps} />
+      </CartProvider>
+    </MoneyProvider>
+  )
 }
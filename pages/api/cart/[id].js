@@ -0,0 +1,37 @@
+import { getCart, saveCart, prepareItems } from '../../../utils/carts'
+
+// GET /api/cart/:id
+// PUT /api/cart/:id
+//
+// The PUT expects a JSON body like: `{ items: [{ id, productId, selectedOptions, quantity }] }` and
+// replaces all the items of the cart. The prices of the items are calculated on the server. Items
+// that we can't sell are saved as well, with a list of their `errors` (see `prepareItems`).
+export default async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    res.setHeader('Allow', 'GET, PUT')
+    res.statusCode = 405
+    return res.json({ error: `Method ${req.method} is not allowed.` })
+  }
+
+  const cart = await getCart(req.query.id)
+
+  if (cart === null) {
+    res.statusCode = 404
+    return res.json({ error: `Cart "${req.query.id}" does not exist.` })
+  }
+
+  if (req.method === 'GET') {
+    res.statusCode = 200
+    return res.json(cart)
+  }
+
+  const { items, errors } = await prepareItems((req.body || {}).items)
+
+  if (errors.length > 0) {
+    res.statusCode = 400
+    return res.json({ error: 'The items of the cart are invalid.', details: errors })
+  }
+
+  res.statusCode = 200
+  res.json(await saveCart(cart.id, items))
+}
@@ -0,0 +1,15 @@
+import { createCart } from '../../../utils/carts'
+
+// POST /api/cart
+//
+// Creates a new (empty) cart. The returned cart ID is used for all the other cart routes.
+export default async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    res.statusCode = 405
+    return res.json({ error: `Method ${req.method} is not allowed.` })
+  }
+
+  res.statusCode = 201
+  res.json(await createCart())
+}
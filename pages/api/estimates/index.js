@@ -0,0 +1,67 @@
+import { getProduct } from '../../../utils/catalog'
+import { calculatePrice, validateConfiguration } from '../../../utils/pricing'
+import { findPromotion } from '../../../utils/promotions'
+import { estimateCosts } from '../../../utils/estimates'
+
+// POST /api/estimates
+//
+// Expects a JSON body like: `{ productId: 'kemper-profiler', selectedOptions: { 'form-factor':
+// 'head', ... }, promoCode: 'SUMMER10', destination: { country: 'US', region: 'CA', postalCode:
+// '90210' } }`, the `promoCode`, `region` and `postalCode` are optional. Responds with the
+// subtotal, tax, shipping and total (in cents of the base currency). Nothing is stored, this is
+// only an estimate, so a POST is used because of the nested body.
+export default async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    res.statusCode = 405
+    return res.json({ error: `Method ${req.method} is not allowed.` })
+  }
+
+  const { productId, selectedOptions, promoCode = null, destination } = req.body || {}
+
+  const product = await getProduct(productId)
+
+  if (product === null) {
+    res.statusCode = 400
+    return res.json({ error: `Product "${productId}" does not exist.` })
+  }
+
+  const errors = validateConfiguration(product, selectedOptions)
+
+  if (errors.length > 0) {
+    res.statusCode = 400
+    return res.json({ error: 'The selected options are invalid.', details: errors })
+  }
+
+  const { promotion, error: promotionError } =
+    promoCode === null
+      ? { promotion: null, error: null }
+      : await findPromotion(promoCode, productId)
+
+  if (promotionError !== null) {
+    res.statusCode = 400
+    return res.json({ error: promotionError })
+  }
+
+  const price = calculatePrice(product, selectedOptions, { promotion })
+
+  let result
+  try {
+    result = await estimateCosts(product, selectedOptions, price, destination)
+  } catch (error) {
+    // A problem with our rate tables (e.g.: a country without rates). The customer can't fix it,
+    // but they should still get a response that they can show.
+    res.statusCode = 500
+    return res.json({ error: error.message })
+  }
+
+  const { estimate, error } = result
+
+  if (estimate === null) {
+    res.statusCode = 400
+    return res.json({ error })
+  }
+
+  res.statusCode = 200
+  res.json(estimate)
+}
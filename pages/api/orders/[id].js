@@ -0,0 +1,58 @@
+import { getProduct } from '../../../utils/catalog'
+import { validateConfiguration } from '../../../utils/pricing'
+import { getOrder, updateOrder } from '../../../utils/orders'
+
+// GET /api/orders/:id
+// PUT /api/orders/:id
+//
+// The PUT expects a JSON body like: `{ selectedOptions: { 'form-factor': 'head', ... } }` and
+// amends the order. The product and the currency of an order can't be changed.
+//
+// Note: there is no authentication in this project yet. Once there is, amending an order should be
+// limited to support staff.
+export default async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    res.setHeader('Allow', 'GET, PUT')
+    res.statusCode = 405
+    return res.json({ error: `Method ${req.method} is not allowed.` })
+  }
+
+  const order = await getOrder(req.query.id)
+
+  if (order === null) {
+    res.statusCode = 404
+    return res.json({ error: `Order "${req.query.id}" does not exist.` })
+  }
+
+  if (req.method === 'GET') {
+    res.statusCode = 200
+    return res.json(order)
+  }
+
+  const { selectedOptions } = req.body || {}
+
+  // The product could have been removed from the catalog since the order was placed.
+  const product = await getProduct(order.productId)
+
+  if (product === null) {
+    res.statusCode = 409
+    return res.json({ error: `Product "${order.productId}" is no longer available.` })
+  }
+
+  const errors = validateConfiguration(product, selectedOptions)
+
+  if (errors.length > 0) {
+    res.statusCode = 400
+    return res.json({ error: 'The selected options are invalid.', details: errors })
+  }
+
+  const updated = await updateOrder(order, product, selectedOptions)
+
+  if (updated === null) {
+    res.statusCode = 404
+    return res.json({ error: `Order "${req.query.id}" does not exist.` })
+  }
+
+  res.statusCode = 200
+  res.json(updated)
+}
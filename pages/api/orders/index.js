@@ -0,0 +1,104 @@
+import querystring from 'querystring'
+import { getProduct } from '../../../utils/catalog'
+import { validateConfiguration } from '../../../utils/pricing'
+import { createOrder } from '../../../utils/orders'
+import { BASE_CURRENCY, isSupportedCurrency } from '../../../utils/money'
+import { findPromotion } from '../../../utils/promotions'
+import { serializeSelectedOptions } from '../../../utils/configuration'
+
+// POST /api/orders
+//
+// Expects a JSON body like: `{ productId: 'kemper-profiler', selectedOptions: { 'form-factor':
+// 'head', ... }, currency: 'EUR', promoCode: 'SUMMER10' }`, the `promoCode` is optional. Responds
+// with the stored order, which contains the order ID and a line-item breakdown of the price
+// (calculated on the server, in cents of the base currency).
+//
+// The configurator form also posts here when JavaScript is not available. Such a form post has a
+// flat body with the category IDs as field names (`productId=kemper-profiler&form-factor=head&...`)
+// and is redirected to the order page instead. When we refuse the order, the form post is
+// redirected back to the product page, with the submitted options and the reason in the URL.
+export default async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    res.statusCode = 405
+    return res.json({ error: `Method ${req.method} is not allowed.` })
+  }
+
+  const isFormPost = (req.headers['content-type'] || '').startsWith(
+    'application/x-www-form-urlencoded'
+  )
+
+  const { currency = BASE_CURRENCY, promoCode = null, productId, ...body } = req.body || {}
+
+  const product = await getProduct(productId)
+
+  // Without JavaScript, the customer would end up on a page with the raw JSON. Instead, we send
+  // them back to the product page, where the configurator shows the `error` and the `details`. The
+  // fields of a form post are the selected options, so the customer doesn't lose their
+  // configuration either. Without a product there is no page to go back to, redirecting would only
+  // show a 404 without the reason, so those get the JSON response.
+  function refuse(statusCode, error, details = []) {
+    if (isFormPost && product !== null) {
+      const query = querystring.stringify({ ...serializeSelectedOptions(body), error, details })
+
+      res.statusCode = 303
+      res.setHeader('Location', `/products/${encodeURIComponent(product.id)}?${query}`)
+      return res.end()
+    }
+
+    res.statusCode = statusCode
+    return res.json(details.length > 0 ? { error, details } : { error })
+  }
+
+  if (product === null) {
+    return refuse(400, `Product "${productId}" does not exist.`)
+  }
+
+  if (!isSupportedCurrency(currency)) {
+    return refuse(400, `Currency "${currency}" is not supported.`)
+  }
+
+  // A form can't send nested objects, so we pick the fields of the categories of the product. The
+  // validation below takes care of missing or invalid options. The field of a `multiple` category
+  // is repeated for every checked option, or missing when nothing is checked.
+  const selectedOptions = isFormPost
+    ? Object.assign(
+        {},
+        ...product.categoryOptions
+          .filter((category) => category.multiple || body[category.id] !== undefined)
+          .map((category) => ({
+            [category.id]: category.multiple
+              ? [].concat(body[category.id] || [])
+              : body[category.id],
+          }))
+      )
+    : body.selectedOptions
+
+  const errors = validateConfiguration(product, selectedOptions)
+
+  if (errors.length > 0) {
+    return refuse(400, 'The selected options are invalid.', errors)
+  }
+
+  // The promo code was validated before in the browser, but it could have expired since then.
+  const { promotion, error } =
+    promoCode === null
+      ? { promotion: null, error: null }
+      : await findPromotion(promoCode, productId)
+
+  if (error !== null) {
+    return refuse(400, error)
+  }
+
+  const order = await createOrder(product, selectedOptions, currency, promotion)
+
+  // "See other", the browser follows the redirect with a GET request.
+  if (isFormPost) {
+    res.statusCode = 303
+    res.setHeader('Location', `/orders/${order.id}`)
+    return res.end()
+  }
+
+  res.statusCode = 201
+  res.json(order)
+}
@@ -0,0 +1,20 @@
+import { getProduct } from '../../../utils/catalog'
+
+// GET /api/products/:id
+export default async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    res.statusCode = 405
+    return res.json({ error: `Method ${req.method} is not allowed.` })
+  }
+
+  const product = await getProduct(req.query.id)
+
+  if (product === null) {
+    res.statusCode = 404
+    return res.json({ error: `Product "${req.query.id}" does not exist.` })
+  }
+
+  res.statusCode = 200
+  res.json(product)
+}
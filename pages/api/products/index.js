@@ -0,0 +1,13 @@
+import { getProducts } from '../../../utils/catalog'
+
+// GET /api/products
+export default async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    res.statusCode = 405
+    return res.json({ error: `Method ${req.method} is not allowed.` })
+  }
+
+  res.statusCode = 200
+  res.json(await getProducts())
+}
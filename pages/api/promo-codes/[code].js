@@ -0,0 +1,24 @@
+import { findPromotion } from '../../../utils/promotions'
+
+// GET /api/promo-codes/:code?productId=kemper-profiler
+//
+// Validates a promo code for a product. Responds with the promotion, which can be passed to
+// `calculatePrice` to show the discount. The promo code is validated again when the order is
+// placed.
+export default async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    res.statusCode = 405
+    return res.json({ error: `Method ${req.method} is not allowed.` })
+  }
+
+  const { promotion, error } = await findPromotion(req.query.code, req.query.productId)
+
+  if (promotion === null) {
+    res.statusCode = 404
+    return res.json({ error })
+  }
+
+  res.statusCode = 200
+  res.json(promotion)
+}
@@ -0,0 +1,272 @@
+import { useState, useEffect } from 'react'
+import Head from 'next/head'
+import Link from 'next/link'
+import { useCart } from '../components/cart'
+import { useMoney } from '../components/money'
+import { getProducts } from '../utils/catalog'
+import { getLocalization } from '../utils/money'
+import { calculatePrice, validateConfiguration, MAX_QUANTITY } from '../utils/pricing'
+import { resolveConfiguration } from '../utils/constraints'
+import { classNames } from '../utils/class-names'
+import { selectValue, isOptionUnavailable } from '../utils/selection'
+
+// The same price snapshot and errors that the server calculates (see `prepareItems`), so that the
+// cart updates right away. The server replaces them with its own calculation once the cart is
+// synced.
+function itemSnapshot(product, selectedOptions, quantity) {
+  const errors =
+    product === undefined
+      ? ['This product is no longer available.']
+      : validateConfiguration(product, selectedOptions)
+
+  if (errors.length > 0) {
+    return { price: null, errors }
+  }
+
+  const { lineItems, unitPrice, discounts, total } = calculatePrice(product, selectedOptions, {
+    quantity,
+  })
+
+  return { price: { lineItems, unitPrice, discounts, total }, errors }
+}
+
+export default function CartPage(props) {
+  const { products } = props
+
+  const { items, isLoaded, error, updateItem, removeItem } = useCart()
+  const { formatMoney } = useMoney()
+
+  // A lookup table so that we can find the product of an item by its ID. Products that are no
+  // longer in the catalog can't be edited, but we still want to show them so that the customer can
+  // remove them.
+  const productLookup = Object.assign({}, ...products.map((product) => ({ [product.id]: product })))
+
+  // Items that we can't sell don't have a price, the customer has to fix (or remove) them first.
+  const total = items
+    .filter((item) => item.price !== null)
+    .reduce((total, item) => total + item.price.total, 0)
+
+  return (
+    <div className="flex flex-col min-h-screen font-sans antialiased">
+      <Head>
+        <link rel="stylesheet" href="https://rsms.me/inter/inter.css" />
+        <title>Your cart</title>
+      </Head>
+
+      <div className="flex-1 w-full px-4 py-12 mx-auto md:max-w-2xl lg:max-w-5xl xl:max-w-7xl lg:px-8 sm:px-12 sm:py-16">
+        <div className="flex items-center justify-between" role="banner">
+          <h1 className="text-4xl font-extrabold leading-10 tracking-tight text-gray-900">
+            Your cart
+          </h1>
+
+          <Link href="/">
+            <a className="p-1 -m-1 text-sm font-medium leading-5 text-gray-900 underline rounded focus:outline-none focus:shadow-outline-gray">
+              Continue shopping
+            </a>
+          </Link>
+        </div>
+
+        <hr className="mt-5 border-gray-300 mb-9 border-px lg:mt-6 lg:mb-12" />
+
+        <main className="space-y-6">
+          {error !== null && (
+            <div role="alert" className="text-sm leading-5 text-red-600">
+              <p>{error.message}</p>
+              {error.details.length > 0 && (
+                <ul className="list-disc list-inside">
+                  {error.details.map((detail) => (
+                    <li key={detail}>{detail}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {/* We don't know what is in the cart until we read it from localStorage. */}
+          {isLoaded && items.length === 0 && (
+            <p className="text-lg leading-6 text-gray-500">Your cart is empty.</p>
+          )}
+
+          {items.length > 0 && (
+            <ul className="border-t border-b border-gray-200 divide-y divide-gray-200">
+              {items.map((item) => (
+                <CartItem
+                  key={item.id}
+                  item={item}
+                  product={productLookup[item.productId]}
+                  onChange={(changes) => updateItem(item.id, changes)}
+                  onRemove={() => removeItem(item.id)}
+                />
+              ))}
+            </ul>
+          )}
+
+          {items.length > 0 && (
+            <div className="flex items-center justify-end space-x-3">
+              <div className="text-sm font-medium leading-5 text-gray-500">Total</div>
+              <div className="text-3xl font-bold leading-9 tracking-tight text-gray-900">
+                {formatMoney(total)}
+              </div>
+            </div>
+          )}
+        </main>
+      </div>
+    </div>
+  )
+}
+
+function CartItem(props) {
+  const { item, product, onChange, onRemove } = props
+  const { formatMoney } = useMoney()
+
+  return (
+    <li className="py-6 space-y-4 sm:flex sm:space-y-0 sm:space-x-8">
+      <div className="flex-1 space-y-4">
+        <div className="text-lg font-medium leading-7 text-gray-900">
+          {product !== undefined ? product.name : 'This product is no longer available'}
+        </div>
+
+        {item.errors.length > 0 && (
+          <ul role="alert" className="text-sm leading-5 text-red-600 list-disc list-inside">
+            {item.errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+
+        {product !== undefined && (
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+            {product.categoryOptions.map((category) => (
+              <label key={category.id} className="block space-y-1">
+                <span className="text-sm font-medium leading-5 text-gray-500">
+                  {category.title}
+                </span>
+                <select
+                  className={classNames(
+                    'block w-full',
+                    category.multiple ? 'form-multiselect' : 'form-select'
+                  )}
+                  multiple={Boolean(category.multiple)}
+                  value={item.selectedOptions[category.id] || []}
+                  onChange={(event) => {
+                    // Let the constraint engine correct the other categories if necessary, just
+                    // like the configurator does.
+                    const { selectedOptions } = resolveConfiguration(
+                      product,
+                      {
+                        ...item.selectedOptions,
+                        [category.id]: selectValue(category, event.target),
+                      },
+                      category.id
+                    )
+                    onChange({
+                      selectedOptions,
+                      ...itemSnapshot(product, selectedOptions, item.quantity),
+                    })
+                  }}
+                >
+                  {category.options.map((option) => (
+                    <option
+                      key={option.id}
+                      value={option.id}
+                      disabled={isOptionUnavailable(option, item.selectedOptions)}
+                    >
+                      {option.title}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-end justify-between space-x-6 sm:flex-col sm:items-end sm:justify-start sm:space-x-0 sm:space-y-3">
+        {item.price !== null && (
+          <div className="text-lg font-medium leading-7 text-gray-900">
+            {formatMoney(item.price.total)}
+          </div>
+        )}
+
+        {/* E.g.: the quantity discount. */}
+        {item.price !== null &&
+          item.price.discounts.map((discount) => (
+            <div key={discount.id} className="text-sm leading-5 text-green-600">
+              {discount.title}: - {formatMoney(discount.amount)}
+            </div>
+          ))}
+
+        <QuantityInput
+          quantity={item.quantity}
+          onChange={(quantity) => {
+            // Quantity tiers change the price, so we recalculate it as well.
+            onChange({ quantity, ...itemSnapshot(product, item.selectedOptions, quantity) })
+          }}
+        />
+
+        <button
+          type="button"
+          onClick={onRemove}
+          className="p-1 -m-1 text-sm leading-5 text-gray-500 underline rounded hover:text-gray-900 focus:outline-none focus:shadow-outline-gray"
+        >
+          Remove
+        </button>
+      </div>
+    </li>
+  )
+}
+
+// Returns `null` for anything that isn't a quantity we can sell, e.g.: an empty input while typing.
+function parseQuantity(value) {
+  const quantity = Number(value)
+
+  if (value.trim() === '' || !Number.isInteger(quantity)) {
+    return null
+  }
+
+  return quantity >= 1 && quantity <= MAX_QUANTITY ? quantity : null
+}
+
+// The input keeps its own draft of the value, this way the customer can clear it and type a new
+// quantity. Only valid quantities end up in the cart, when the customer leaves the input with an
+// invalid value we go back to the quantity in the cart.
+function QuantityInput(props) {
+  const { quantity, onChange } = props
+
+  const [draft, setDraft] = useState(String(quantity))
+
+  // The quantity can also change from the outside, e.g.: when the server corrects it.
+  useEffect(() => {
+    setDraft(String(quantity))
+  }, [quantity])
+
+  return (
+    <label className="flex items-center space-x-2 text-sm leading-5 text-gray-500">
+      <span>Quantity</span>
+      <input
+        type="number"
+        className="w-20 form-input"
+        min={1}
+        max={MAX_QUANTITY}
+        value={draft}
+        onChange={(event) => {
+          setDraft(event.target.value)
+
+          const next = parseQuantity(event.target.value)
+          if (next !== null && next !== quantity) {
+            onChange(next)
+          }
+        }}
+        onBlur={() => {
+          if (parseQuantity(draft) === null) {
+            setDraft(String(quantity))
+          }
+        }}
+      />
+    </label>
+  )
+}
+
+export async function getServerSideProps(context) {
+  return { props: { products: await getProducts(), ...getLocalization(context.req) } }
+}
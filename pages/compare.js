@@ -0,0 +1,286 @@
+import { useState, useEffect } from 'react'
+import Head from 'next/head'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { useMoney } from '../components/money'
+import { getProducts } from '../utils/catalog'
+import { getLocalization } from '../utils/money'
+import { parseConfiguration, serializeSelectedOptions } from '../utils/configuration'
+import { resolveConfiguration } from '../utils/constraints'
+import {
+  parseComparison,
+  serializeComparison,
+  compareConfigurations,
+  MIN_COMPARED_CONFIGURATIONS,
+  MAX_COMPARED_CONFIGURATIONS,
+} from '../utils/comparison'
+import { classNames } from '../utils/class-names'
+import { selectValue, isOptionUnavailable } from '../utils/selection'
+
+/**
+ * Compare 2 to 4 configurations side by side, of the same product or of different products. Every
+ * configuration is a column, the rows are the categories, the specifications and the totals. Rows
+ * with different values are highlighted.
+ */
+export default function ComparePage(props) {
+  const { products } = props
+
+  const { formatMoney } = useMoney()
+
+  // Same idea as the configurator, the configurations live in the URL so that a comparison can be
+  // shared. The query is available on the server as well, so the correct columns render right away.
+  const router = useRouter()
+  const [configurations, setConfigurations] = useState(() =>
+    parseComparison(products, router.query)
+  )
+
+  useEffect(() => {
+    router.replace(
+      { pathname: router.pathname, query: serializeComparison(configurations) },
+      undefined,
+      { shallow: true }
+    )
+  }, [configurations])
+
+  const productLookup = Object.assign({}, ...products.map((product) => ({ [product.id]: product })))
+  const comparison = compareConfigurations(products, configurations)
+
+  const [productIdToAdd, setProductIdToAdd] = useState(products[0].id)
+
+  function changeOption(index, category, optionId) {
+    const { productId, selectedOptions } = configurations[index]
+
+    // Let the constraint engine correct the other categories if necessary, just like the
+    // configurator does.
+    const resolution = resolveConfiguration(
+      productLookup[productId],
+      { ...selectedOptions, [category.id]: optionId },
+      category.id
+    )
+
+    setConfigurations((configurations) =>
+      configurations.map((configuration, i) =>
+        i === index ? { productId, selectedOptions: resolution.selectedOptions } : configuration
+      )
+    )
+  }
+
+  function addConfiguration() {
+    // Adding the same product again starts from the last configuration of that product, this way
+    // you only have to change the option you are curious about.
+    const previous = configurations
+      .filter((configuration) => configuration.productId === productIdToAdd)
+      .pop()
+
+    setConfigurations((configurations) => [
+      ...configurations,
+      previous !== undefined
+        ? previous
+        : {
+            productId: productIdToAdd,
+            selectedOptions: parseConfiguration(productLookup[productIdToAdd]).selectedOptions,
+          },
+    ])
+  }
+
+  function removeConfiguration(index) {
+    setConfigurations((configurations) => configurations.filter((_, i) => i !== index))
+  }
+
+  // One column for the row titles, and one per configuration.
+  const columnClassName = 'px-4 py-4 text-sm leading-5 text-left align-top'
+
+  function rowClassName(row) {
+    return row.isDifferent ? 'bg-yellow-50' : undefined
+  }
+
+  // Screen readers can't see the highlight, so we tell them as well.
+  function differenceLabel(row) {
+    return row.isDifferent && <span className="sr-only"> (differs)</span>
+  }
+
+  return (
+    <div className="flex flex-col min-h-screen font-sans antialiased">
+      <Head>
+        <link rel="stylesheet" href="https://rsms.me/inter/inter.css" />
+        <title>Compare configurations</title>
+      </Head>
+
+      <div className="flex-1 w-full px-4 py-12 mx-auto md:max-w-2xl lg:max-w-5xl xl:max-w-7xl lg:px-8 sm:px-12 sm:py-16">
+        <div className="flex items-center justify-between" role="banner">
+          <h1 className="text-4xl font-extrabold leading-10 tracking-tight text-gray-900">
+            Compare
+          </h1>
+
+          <Link href="/">
+            <a className="p-1 -m-1 text-sm font-medium leading-5 text-gray-900 underline rounded focus:outline-none focus:shadow-outline-gray">
+              Continue shopping
+            </a>
+          </Link>
+        </div>
+
+        <hr className="mt-5 border-gray-300 mb-9 border-px lg:mt-6 lg:mb-12" />
+
+        <main className="space-y-6">
+          {configurations.length < MAX_COMPARED_CONFIGURATIONS && (
+            <div className="flex items-end space-x-4">
+              <label className="block space-y-1">
+                <span className="text-sm font-medium leading-5 text-gray-500">Product</span>
+                <select
+                  className="block w-full form-select"
+                  value={productIdToAdd}
+                  onChange={(event) => setProductIdToAdd(event.target.value)}
+                >
+                  {products.map((product) => (
+                    <option key={product.id} value={product.id}>
+                      {product.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <button
+                type="button"
+                onClick={addConfiguration}
+                className="px-4 py-2 text-base font-medium leading-6 text-gray-900 transition duration-150 ease-in-out bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:shadow-outline-gray"
+              >
+                Add to comparison
+              </button>
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full border-t border-b border-gray-200 divide-y divide-gray-200">
+              <thead>
+                <tr>
+                  <td className={columnClassName} />
+                  {configurations.map(({ productId, selectedOptions }, index) => (
+                    <th key={index} scope="col" className={columnClassName}>
+                      <div className="space-y-2">
+                        <div className="text-lg font-medium leading-7 text-gray-900">
+                          {productLookup[productId].name}
+                        </div>
+
+                        <div className="flex space-x-4 font-normal">
+                          <Link
+                            href="/products/[id]"
+                            // The product page reads the configuration from the query string,
+                            // and picks the best image for it.
+                            as={{
+                              pathname: `/products/${productId}`,
+                              query: serializeSelectedOptions(selectedOptions),
+                            }}
+                          >
+                            <a className="p-1 -m-1 text-gray-500 underline rounded hover:text-gray-900 focus:outline-none focus:shadow-outline-gray">
+                              Configure
+                            </a>
+                          </Link>
+
+                          {configurations.length > MIN_COMPARED_CONFIGURATIONS && (
+                            <button
+                              type="button"
+                              onClick={() => removeConfiguration(index)}
+                              className="p-1 -m-1 text-gray-500 underline rounded hover:text-gray-900 focus:outline-none focus:shadow-outline-gray"
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+
+              <tbody className="divide-y divide-gray-200">
+                {comparison.categories.map((row) => (
+                  <tr key={row.id} className={rowClassName(row)}>
+                    <th scope="row" className={classNames(columnClassName, 'font-medium')}>
+                      {row.title}
+                      {differenceLabel(row)}
+                    </th>
+                    {configurations.map(({ productId, selectedOptions }, index) => {
+                      const category = productLookup[productId].categoryOptions.find(
+                        (category) => category.id === row.id
+                      )
+
+                      return (
+                        <td key={index} className={columnClassName}>
+                          {category === undefined ? (
+                            <span className="text-gray-500">Not applicable</span>
+                          ) : (
+                            <select
+                              aria-label={`${row.title} (${index + 1})`}
+                              className={classNames(
+                                'block w-full',
+                                category.multiple ? 'form-multiselect' : 'form-select'
+                              )}
+                              multiple={Boolean(category.multiple)}
+                              value={selectedOptions[category.id]}
+                              onChange={(event) =>
+                                changeOption(index, category, selectValue(category, event.target))
+                              }
+                            >
+                              {category.options.map((option) => (
+                                <option
+                                  key={option.id}
+                                  value={option.id}
+                                  disabled={isOptionUnavailable(option, selectedOptions)}
+                                >
+                                  {option.title}
+                                </option>
+                              ))}
+                            </select>
+                          )}
+                        </td>
+                      )
+                    })}
+                  </tr>
+                ))}
+
+                {comparison.specifications.map((row) => (
+                  <tr key={row.id} className={rowClassName(row)}>
+                    <th scope="row" className={classNames(columnClassName, 'font-medium')}>
+                      {row.title}
+                      {differenceLabel(row)}
+                    </th>
+                    {row.values.map((value, index) => (
+                      <td key={index} className={columnClassName}>
+                        {value === null ? (
+                          <span className="text-gray-500">Not applicable</span>
+                        ) : (
+                          value
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+
+                <tr className={rowClassName(comparison.totals)}>
+                  <th scope="row" className={classNames(columnClassName, 'font-medium')}>
+                    {comparison.totals.title}
+                    {differenceLabel(comparison.totals)}
+                  </th>
+                  {comparison.totals.values.map((total, index) => (
+                    <td
+                      key={index}
+                      className={classNames(columnClassName, 'text-lg font-medium text-gray-900')}
+                    >
+                      {formatMoney(total)}
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </main>
+      </div>
+    </div>
+  )
+}
+
+export async function getServerSideProps(context) {
+  const products = await getProducts()
+
+  return { props: { products, ...getLocalization(context.req) } }
+}
@@ -0,0 +1,48 @@
+import { Configurator } from '../../../components/configurator'
+import { getProduct } from '../../../utils/catalog'
+import { getOrder } from '../../../utils/orders'
+import { getLocalization } from '../../../utils/money'
+import { NotFound, markNotFound } from '../../../components/not-found'
+
+// Used by support staff to amend the order of a customer.
+export default function EditOrderPage(props) {
+  const { order, product } = props
+
+  if (order === null || product === null) {
+    return <NotFound />
+  }
+
+  return (
+    <Configurator
+      key={order.id}
+      product={product}
+      editing={{
+        label: `order ${order.id}`,
+        selectedOptions: order.selectedOptions,
+        total: order.total,
+        // The promo code was validated when the order was placed, it keeps applying.
+        promotion: order.promotion || null,
+        url: `/api/orders/${order.id}`,
+      }}
+    />
+  )
+}
+
+export async function getServerSideProps(context) {
+  const order = await getOrder(context.params.id)
+  const product = order === null ? null : await getProduct(order.productId)
+
+  if (order === null || product === null) {
+    markNotFound(context)
+  }
+
+  return {
+    props: {
+      order,
+      product,
+      ...getLocalization(context.req),
+      // Show the prices in the currency the customer used to place the order.
+      ...(order !== null && order.currency !== undefined && { currency: order.currency }),
+    },
+  }
+}
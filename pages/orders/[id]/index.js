@@ -0,0 +1,85 @@
+import Head from 'next/head'
+import Link from 'next/link'
+import { useMoney } from '../../../components/money'
+import { getOrder } from '../../../utils/orders'
+import { getLocalization } from '../../../utils/money'
+import { NotFound, markNotFound } from '../../../components/not-found'
+
+// The confirmation page of an order. The configurator shows a summary dialog instead, but when the
+// form is posted without JavaScript, the API redirects to this page.
+export default function OrderPage(props) {
+  const { order } = props
+  const { formatMoney } = useMoney()
+
+  if (order === null) {
+    return <NotFound />
+  }
+
+  return (
+    <div className="flex flex-col min-h-screen font-sans antialiased">
+      <Head>
+        <link rel="stylesheet" href="https://rsms.me/inter/inter.css" />
+        <title>Order {order.id}</title>
+      </Head>
+
+      <div className="flex-1 w-full px-4 py-12 mx-auto md:max-w-2xl lg:max-w-5xl xl:max-w-7xl lg:px-8 sm:px-12 sm:py-16">
+        <div className="flex items-center justify-between" role="banner">
+          <h1 className="text-4xl font-extrabold leading-10 tracking-tight text-gray-900">
+            Order {order.id}
+          </h1>
+
+          <Link href="/">
+            <a className="p-1 -m-1 text-sm font-medium leading-5 text-gray-900 underline rounded focus:outline-none focus:shadow-outline-gray">
+              Continue shopping
+            </a>
+          </Link>
+        </div>
+
+        <hr className="mt-5 border-gray-300 mb-9 border-px lg:mt-6 lg:mb-12" />
+
+        <main className="max-w-2xl space-y-6">
+          <p className="text-lg leading-6 text-gray-900">Thank you for your order!</p>
+
+          <dl className="text-sm leading-5 border-t border-b border-gray-200 divide-y divide-gray-200">
+            {order.lineItems.map((lineItem) => (
+              <div key={lineItem.id} className="flex justify-between py-4 space-x-4">
+                <dt className="text-gray-500">{lineItem.title}</dt>
+                <dd className="text-gray-900">{formatMoney(lineItem.price)}</dd>
+              </div>
+            ))}
+            {(order.discounts || []).map((discount) => (
+              <div key={discount.id} className="flex justify-between py-4 space-x-4">
+                <dt className="text-gray-500">{discount.title}</dt>
+                <dd className="text-green-600">- {formatMoney(discount.amount)}</dd>
+              </div>
+            ))}
+          </dl>
+
+          <div className="flex items-center justify-end space-x-3">
+            <div className="text-sm font-medium leading-5 text-gray-500">Total</div>
+            <div className="text-3xl font-bold leading-9 tracking-tight text-gray-900">
+              {formatMoney(order.total)}
+            </div>
+          </div>
+        </main>
+      </div>
+    </div>
+  )
+}
+
+export async function getServerSideProps(context) {
+  const order = await getOrder(context.params.id)
+
+  if (order === null) {
+    markNotFound(context)
+  }
+
+  return {
+    props: {
+      order,
+      ...getLocalization(context.req),
+      // Show the prices in the currency the customer used to place the order.
+      ...(order !== null && order.currency !== undefined && { currency: order.currency }),
+    },
+  }
+}
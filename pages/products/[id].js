@@ -0,0 +1,26 @@
+import { Configurator } from '../../components/configurator'
+import { getProduct } from '../../utils/catalog'
+import { getLocalization } from '../../utils/money'
+import { NotFound, markNotFound } from '../../components/not-found'
+
+export default function ProductPage(props) {
+  const { product } = props
+
+  if (product === null) {
+    return <NotFound />
+  }
+
+  // Using the product ID as the key ensures that the internal state of the configurator (selected
+  // options, active image, ...) is reset when we navigate from one product to another.
+  return <Configurator key={product.id} product={product} />
+}
+
+export async function getServerSideProps(context) {
+  const product = await getProduct(context.params.id)
+
+  if (product === null) {
+    markNotFound(context)
+  }
+
+  return { props: { product, ...getLocalization(context.req) } }
+}
@@ -9,6 +9,22 @@ module.exports = {
       },
     },
   },
-  variants: {},
-  plugins: [require('@tailwindcss/ui')],
+  variants: {
+    // The `option-*` variants come from the plugin in `tailwind/option-states.js`. We only enable
+    // them for the utilities that we actually use to style the options.
+    borderColor: [
+      'responsive',
+      'hover',
+      'focus',
+      'option-active',
+      'option-selected',
+      'option-disabled',
+    ],
+    borderWidth: ['responsive', 'option-selected'],
+    boxShadow: ['responsive', 'hover', 'focus', 'option-focused'],
+    cursor: ['responsive', 'option-disabled'],
+    opacity: ['responsive', 'hover', 'focus', 'option-disabled'],
+    padding: ['responsive', 'option-selected'],
+  },
+  plugins: [require('@tailwindcss/ui'), require('./tailwind/option-states')],
 }
@@ -0,0 +1,42 @@
+const plugin = require('tailwindcss/plugin')
+
+// The variants, and the attribute of the <Option /> that they key off. In the order in which they
+// are generated: when 2 variants set the same property (e.g.: `option-active:border-gray-400` and
+// `option-selected:border-gray-700`), the one that is generated last wins. This way a selected
+// option that is hovered still looks selected, and a disabled option always looks disabled.
+const STATES = [
+  ['active', '[data-active]'],
+  ['selected', '[aria-checked="true"]'],
+  ['focused', '[data-focused]'],
+  ['disabled', '[aria-disabled="true"]'],
+]
+
+/**
+ * Adds an `option-{state}:` variant for every state above, e.g.: `option-selected:border-2`.
+ *
+ * The <Option /> component renders its state as attributes: `aria-checked` for the selected state,
+ * `aria-disabled` for the disabled state, `data-active` and `data-focused` for the others. The
+ * variants match the option itself, and its direct children. This means that you don't need a
+ * render prop to style an option:
+ *
+ * ```js
+ * <Option value="a" className="border p-px option-selected:border-2 option-selected:p-0">
+ *   <div className="text-gray-500 option-selected:text-gray-900">Option A</div>
+ * </Option>
+ * ```
+ *
+ * Don't forget to enable the variants for the utilities you want to use in `tailwind.config.js`.
+ */
+module.exports = plugin(function ({ addVariant, e }) {
+  for (let [state, selector] of STATES) {
+    const variant = `option-${state}`
+
+    addVariant(variant, ({ modifySelectors, separator }) => {
+      modifySelectors(({ className }) => {
+        const escaped = `.${e(`${variant}${separator}${className}`)}`
+
+        return `${escaped}${selector}, ${selector} > ${escaped}`
+      })
+    })
+  }
+})
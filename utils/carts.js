@@ -0,0 +1,105 @@
+import crypto from 'crypto'
+import { readCollection, updateCollection } from './store'
+import { getProduct } from './catalog'
+import { calculatePrice, validateConfiguration, MAX_QUANTITY } from './pricing'
+
+function generateCartId() {
+  return crypto.randomBytes(8).toString('hex')
+}
+
+// Returns `null` when the cart doesn't exist.
+export async function getCart(id) {
+  const carts = await readCollection('carts')
+  return carts.find((cart) => cart.id === id) || null
+}
+
+export async function createCart() {
+  const cart = { id: generateCartId(), items: [], updatedAt: new Date().toISOString() }
+
+  await updateCollection('carts', (carts) => [...carts, cart])
+
+  return cart
+}
+
+/**
+ * Replace the items of an existing cart. The items should already be prepared with `prepareItems`.
+ * Returns `null` when the cart doesn't exist.
+ */
+export async function saveCart(id, items) {
+  const cart = { id, items, updatedAt: new Date().toISOString() }
+  let isSaved = false
+
+  await updateCollection('carts', (carts) =>
+    carts.map((existing) => {
+      if (existing.id !== id) {
+        return existing
+      }
+
+      isSaved = true
+      return cart
+    })
+  )
+
+  return isSaved ? cart : null
+}
+
+/**
+ * Validate the items that are sent to us and (re)calculate the price snapshots. Just like with
+ * orders, we never trust a price that is sent to us.
+ *
+ * An item that we can't sell (e.g.: one of its options was removed from the catalog) doesn't make
+ * the whole cart invalid. Otherwise every change to the cart would fail until the customer finds
+ * the culprit. Instead, the item is kept with the list of its `errors` and without a price, so that
+ * the customer can see what is wrong and fix (or remove) it. The returned `errors` are only the
+ * problems with the request itself, an empty list means that the cart can be saved.
+ */
+export async function prepareItems(items) {
+  if (!Array.isArray(items)) {
+    return { items: [], errors: ['The items should be a list.'] }
+  }
+
+  const errors = []
+  const prepared = []
+
+  for (let item of items) {
+    const { id, productId, selectedOptions, quantity } = item || {}
+
+    if (typeof id !== 'string' || id === '') {
+      errors.push('Every item should have an ID.')
+      continue
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      errors.push(`The quantity of item "${id}" should be a number between 1 and ${MAX_QUANTITY}.`)
+      continue
+    }
+
+    const product = await getProduct(productId)
+    const itemErrors =
+      product === null
+        ? ['This product is no longer available.']
+        : validateConfiguration(product, selectedOptions)
+
+    if (itemErrors.length > 0) {
+      prepared.push({ id, productId, selectedOptions, quantity, price: null, errors: itemErrors })
+      continue
+    }
+
+    const { lineItems, unitPrice, discounts, total } = calculatePrice(product, selectedOptions, {
+      quantity,
+    })
+
+    prepared.push({
+      id,
+      productId,
+      selectedOptions,
+      quantity,
+      // A snapshot of the price at the moment the cart was last saved. Every save recalculates the
+      // prices of all the items, so the cart always shows the current prices of the catalog.
+      price: { lineItems, unitPrice, discounts, total },
+      errors: [],
+    })
+  }
+
+  return { items: prepared, errors }
+}
@@ -0,0 +1,14 @@
+import { readCollection } from './store'
+
+// The catalog is read-only from the point of view of the application. The products are maintained
+// in the `data/products.json` file.
+export async function getProducts() {
+  return readCollection('products')
+}
+
+// Returns `null` when the product doesn't exist, so that the caller can decide what to do (render a
+// 404 page, return a 404 response, ...).
+export async function getProduct(id) {
+  const products = await getProducts()
+  return products.find((product) => product.id === id) || null
+}
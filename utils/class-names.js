@@ -0,0 +1,6 @@
+// Small styling helpers that are shared between the components.
+
+// Who needs a library?
+export function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
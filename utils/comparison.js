@@ -0,0 +1,157 @@
+import { parseConfiguration, createCategoryWithOptionsLookup } from './configuration'
+import { calculatePrice } from './pricing'
+import { specificationsFor } from './specifications'
+import { selectionTitle } from './selection'
+
+// A comparison only makes sense with at least 2 configurations, and more than 4 columns don't fit
+// on the screen anymore.
+export const MIN_COMPARED_CONFIGURATIONS = 2
+export const MAX_COMPARED_CONFIGURATIONS = 4
+
+// The query string parameter that holds the configurations, it is repeated for every column, e.g.:
+// `?config=kemper-profiler:form-factor=head,power-amp=none&config=kemper-profiler:form-factor=rack`
+const CONFIGURATION_PARAMETER = 'config'
+
+// The options of a `multiple` category are separated with a `|`, because the `,` is already used
+// to separate the categories, e.g.: `kemper-profiler:form-factor=rack,accessories=gig-bag|cables`.
+const MULTIPLE_SEPARATOR = '|'
+
+// `kemper-profiler:form-factor=rack,power-amp=powered` -> `{ productId, query }`
+function parseConfigurationParameter(value) {
+  const [productId, options = ''] = value.split(':')
+  const query = Object.assign(
+    {},
+    ...options
+      .split(',')
+      .filter(Boolean)
+      .map((option) => {
+        const [categoryId, optionId] = option.split('=')
+        // `parseConfiguration` expects the same format as the query string of the product page.
+        return { [categoryId]: (optionId || '').split(MULTIPLE_SEPARATOR).join(',') }
+      })
+  )
+
+  return { productId, query }
+}
+
+/**
+ * Read the compared configurations from the query string (e.g.: `router.query`). Just like
+ * `parseConfiguration`, we can't trust the query string: unknown products are ignored and invalid
+ * options fallback to the defaults. When there are not enough configurations, we repeat the last
+ * one (or use the default configuration of the first product), so that there is always something
+ * to compare.
+ */
+export function parseComparison(products, query = {}) {
+  const configurations = []
+    .concat(query[CONFIGURATION_PARAMETER] || [])
+    .map(parseConfigurationParameter)
+    .map(({ productId, query }) => {
+      const product = products.find((product) => product.id === productId)
+
+      if (product === undefined) {
+        return null
+      }
+
+      return { productId, selectedOptions: parseConfiguration(product, query).selectedOptions }
+    })
+    .filter((configuration) => configuration !== null)
+    .slice(0, MAX_COMPARED_CONFIGURATIONS)
+
+  while (configurations.length < MIN_COMPARED_CONFIGURATIONS) {
+    const [product] = products
+
+    configurations.push(
+      configurations.length > 0
+        ? configurations[configurations.length - 1]
+        : { productId: product.id, selectedOptions: parseConfiguration(product).selectedOptions }
+    )
+  }
+
+  return configurations
+}
+
+/**
+ * The inverse of `parseComparison`, this returns an object that can be used as the `query` of a
+ * URL.
+ */
+export function serializeComparison(configurations) {
+  return {
+    [CONFIGURATION_PARAMETER]: configurations.map(
+      ({ productId, selectedOptions }) =>
+        `${productId}:${Object.entries(selectedOptions)
+          .map(
+            ([categoryId, optionId]) =>
+              `${categoryId}=${[].concat(optionId).join(MULTIPLE_SEPARATOR)}`
+          )
+          .join(',')}`
+    ),
+  }
+}
+
+// A row is different when not all of the columns show the same value. A category (or specification)
+// that only exists for some of the products is a difference as well.
+function createRow(id, title, values) {
+  return { id, title, values, isDifferent: values.some((value) => value !== values[0]) }
+}
+
+// All the items (categories, specifications) of all the columns, without duplicates. The items keep
+// the order in which they appear, this way a comparison of a single product looks like the catalog.
+function uniqueById(items) {
+  return items.filter((item, index) => items.findIndex(({ id }) => id === item.id) === index)
+}
+
+/**
+ * The rows of the comparison table, every row has a value per configuration (`null` when it doesn't
+ * apply to the product of that configuration):
+ *
+ * - `categories`: the title of the selected option per category.
+ * - `specifications`: the value of every specification, for the selected options.
+ * - `totals`: the total price (in the base currency).
+ */
+export function compareConfigurations(products, configurations) {
+  const columns = configurations.map(({ productId, selectedOptions }) => {
+    const product = products.find((product) => product.id === productId)
+
+    return {
+      product,
+      selectedOptions,
+      categoryWithOptionsLookup: createCategoryWithOptionsLookup(product),
+      specifications: specificationsFor(product, selectedOptions),
+      price: calculatePrice(product, selectedOptions),
+    }
+  })
+
+  const categories = uniqueById([].concat(...columns.map(({ product }) => product.categoryOptions)))
+  const specifications = uniqueById(
+    [].concat(...columns.map(({ specifications }) => specifications))
+  )
+
+  return {
+    categories: categories.map((category) =>
+      createRow(
+        category.id,
+        category.title,
+        columns.map(({ selectedOptions, categoryWithOptionsLookup }) =>
+          categoryWithOptionsLookup[category.id] === undefined
+            ? null
+            : selectionTitle(categoryWithOptionsLookup[category.id], selectedOptions[category.id])
+        )
+      )
+    ),
+    specifications: specifications.map((specification) =>
+      createRow(
+        specification.id,
+        specification.key,
+        columns.map(({ specifications }) => {
+          const match = specifications.find(({ id }) => id === specification.id)
+          return match === undefined ? null : match.value
+        })
+      )
+    ),
+    totals: createRow(
+      'total',
+      'Total',
+      columns.map(({ price }) => price.total)
+    ),
+  }
+}
@@ -0,0 +1,110 @@
+import { resolveConfiguration } from './constraints'
+import { imagesFor, bestImageIdFor } from './imagery'
+import { isOptionUnavailable } from './selection'
+
+// The query string parameter that holds the active image. The selected options use the category ID
+// as the parameter name, e.g.: `?form-factor=rack&power-amp=powered&image=rear`.
+const IMAGE_PARAMETER = 'image'
+
+function defaultSelectedOptions(product) {
+  return Object.assign(
+    ...product.categoryOptions.map((category) => ({
+      // Let's select the first option by default. Nothing is selected in a `multiple` category,
+      // those are extras that the customer opts in to.
+      [category.id]: category.multiple ? [] : category.options[0].id,
+    }))
+  )
+}
+
+/**
+ * Let's create a simple lookup table so that we can lookup a certain option by the category ID and
+ * the option ID, e.g.: `lookup['form-factor']['rack'].title`. The data is not that big so looping
+ * through all the options might not be a big deal. However, this lookup table can scale nicely and
+ * is pretty nice to work with.
+ */
+export function createCategoryWithOptionsLookup(product) {
+  return Object.assign(
+    ...product.categoryOptions.map((category) => ({
+      [category.id]: Object.assign(...category.options.map((option) => ({ [option.id]: option }))),
+    }))
+  )
+}
+
+/**
+ * Read the configuration from the query string (e.g.: `router.query`). We can't trust the query
+ * string, it could be an old link or someone could have made a typo. Invalid or unknown values
+ * fallback to the defaults, and unknown parameters are ignored.
+ */
+export function parseConfiguration(product, query = {}) {
+  const selectedOptions = defaultSelectedOptions(product)
+
+  for (let category of product.categoryOptions) {
+    // A `multiple` category is a comma separated list, e.g.: `?accessories=gig-bag,cables`.
+    if (category.multiple) {
+      const optionIds = String(query[category.id] || '').split(',')
+
+      selectedOptions[category.id] = category.options
+        .filter((option) => optionIds.includes(option.id))
+        .map((option) => option.id)
+      continue
+    }
+
+    const option = category.options.find((option) => option.id === query[category.id])
+
+    if (option !== undefined) {
+      selectedOptions[category.id] = option.id
+    }
+  }
+
+  // Some options are only unavailable in combination with other options (see
+  // `isOptionUnavailable`), so we can only verify them once we know all the selected options. Those
+  // fallback to the defaults as well.
+  for (let category of product.categoryOptions) {
+    const isAvailable = (optionId) =>
+      !isOptionUnavailable(
+        category.options.find((option) => option.id === optionId),
+        selectedOptions
+      )
+
+    if (category.multiple) {
+      selectedOptions[category.id] = selectedOptions[category.id].filter(isAvailable)
+    } else if (!isAvailable(selectedOptions[category.id])) {
+      selectedOptions[category.id] = category.options[0].id
+    }
+  }
+
+  // The individual values could be valid, but the combination might still violate the rules of
+  // the product. Let the constraint engine correct them if necessary.
+  const resolvedOptions = resolveConfiguration(product, selectedOptions, null).selectedOptions
+
+  // The image has to be one of the images that fit the configuration, otherwise we pick the best
+  // matching image. Made the assumption that we at least have a single image. If we don't have
+  // images at all we could provide an empty state view or something similar.
+  const image = imagesFor(product, resolvedOptions).find(
+    (image) => image.id === query[IMAGE_PARAMETER]
+  )
+
+  return {
+    selectedOptions: resolvedOptions,
+    activeImageId: image !== undefined ? image.id : bestImageIdFor(product, resolvedOptions, null),
+  }
+}
+
+/**
+ * The inverse of `parseConfiguration`, this returns an object that can be used as the `query` of a
+ * URL.
+ */
+export function serializeConfiguration({ selectedOptions, activeImageId }) {
+  return { ...serializeSelectedOptions(selectedOptions), [IMAGE_PARAMETER]: activeImageId }
+}
+
+// The selected options as query string parameters, the lists of the `multiple` categories are
+// joined with a comma.
+export function serializeSelectedOptions(selectedOptions) {
+  return Object.assign(
+    {},
+    ...Object.entries(selectedOptions).map(([categoryId, optionId]) => ({
+      [categoryId]: [].concat(optionId).join(','),
+    }))
+  )
+}
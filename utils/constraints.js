@@ -0,0 +1,143 @@
+import { match } from './match'
+import { isOptionSelected, isOptionUnavailable, toggleOption } from './selection'
+
+// Emulating an enum. These are the kinds of rules that can be attached to a product (see the
+// `rules` of a product in `data/products.json`). Every rule has the same shape:
+//
+// {
+//   id: 'a-unique-id',
+//   type: 'requires' | 'excludes',
+//   when: { categoryId, optionId },
+//   then: { categoryId, optionId },
+//   message: 'A human readable explanation, shown to the customer.',
+// }
+export const RuleType = {
+  // When the `when` option is selected, the `then` option has to be selected as well.
+  Requires: 'requires',
+
+  // The `when` and `then` options can't be selected at the same time.
+  Excludes: 'excludes',
+}
+
+function isSelected(selectedOptions, { categoryId, optionId }) {
+  return isOptionSelected(selectedOptions, categoryId, optionId)
+}
+
+// How to verify every type of rule. The arms are functions, `match` returns the one for the type.
+const violationChecks = {
+  [RuleType.Requires]: (rule, selectedOptions) =>
+    isSelected(selectedOptions, rule.when) && !isSelected(selectedOptions, rule.then),
+  [RuleType.Excludes]: (rule, selectedOptions) =>
+    isSelected(selectedOptions, rule.when) && isSelected(selectedOptions, rule.then),
+}
+
+function isViolated(rule, selectedOptions) {
+  const check = match(
+    rule.type,
+    violationChecks,
+    // When a new kind of rule is added, we want to know about it right away instead of when a
+    // customer happens to select an option that is involved in such a rule.
+    { exhaustive: RuleType }
+  )
+
+  return check(rule, selectedOptions)
+}
+
+function involvesCategory(rule, categoryId) {
+  return rule.when.categoryId === categoryId || rule.then.categoryId === categoryId
+}
+
+/**
+ * Returns all the rules of the product that are violated by the given configuration. An empty list
+ * means that the configuration is valid.
+ */
+export function findViolations(product, selectedOptions) {
+  return (product.rules || []).filter((rule) => isViolated(rule, selectedOptions))
+}
+
+/**
+ * Returns the rules that would be violated if we selected the given option, while keeping all the
+ * other selected options as-is. This is used to flag options in the UI _before_ they are selected.
+ *
+ * The `value` is the new value of the category: an option ID, or for a `multiple` category the
+ * list with the option toggled (see `toggleOption`), this way the other selected options count too.
+ */
+export function findConflicts(product, selectedOptions, categoryId, value) {
+  return findViolations(product, { ...selectedOptions, [categoryId]: value }).filter((rule) =>
+    involvesCategory(rule, categoryId)
+  )
+}
+
+// The values that we can correct a category to. That's another option, or for a `multiple` category
+// the current list with a single option added or removed. We never add an unavailable option, but
+// we can remove one.
+function correctionsFor(category, selectedOptions) {
+  const isAvailable = (option) => !isOptionUnavailable(option, selectedOptions)
+
+  if (category.multiple) {
+    const optionIds = selectedOptions[category.id] || []
+
+    return category.options
+      .filter((option) => isAvailable(option) || optionIds.includes(option.id))
+      .map((option) => toggleOption(optionIds, option.id))
+  }
+
+  return category.options.filter(isAvailable).map((option) => option.id)
+}
+
+/**
+ * Auto-correct a configuration after the option in `changedCategoryId` changed. We never touch the
+ * category that the customer just changed, instead we change the _other_ categories to the first
+ * option that doesn't violate any rules anymore.
+ *
+ * Returns the corrected configuration, the list of corrections that were made (so that we can tell
+ * the customer what happened) and the rules that we couldn't resolve.
+ */
+export function resolveConfiguration(product, selectedOptions, changedCategoryId) {
+  let resolved = selectedOptions
+  const corrections = []
+
+  // Every correction fixes a category, so we will never need more passes than there are categories.
+  // This also guarantees that we don't loop forever when rules contradict each other.
+  for (let pass = 0; pass < product.categoryOptions.length; pass++) {
+    const [violation] = findViolations(product, resolved)
+
+    if (violation === undefined) {
+      break
+    }
+
+    const categoryId =
+      violation.then.categoryId !== changedCategoryId
+        ? violation.then.categoryId
+        : violation.when.categoryId
+
+    // Both sides of the rule are in the changed category, there is nothing we can correct.
+    if (categoryId === changedCategoryId) {
+      break
+    }
+
+    const category = product.categoryOptions.find((category) => category.id === categoryId)
+    const replacement = correctionsFor(category, resolved).find(
+      (value) => findConflicts(product, resolved, categoryId, value).length === 0
+    )
+
+    if (replacement === undefined) {
+      break
+    }
+
+    corrections.push({
+      categoryId,
+      from: resolved[categoryId],
+      to: replacement,
+      rule: violation,
+    })
+
+    resolved = { ...resolved, [categoryId]: replacement }
+  }
+
+  return {
+    selectedOptions: resolved,
+    corrections,
+    violations: findViolations(product, resolved),
+  }
+}
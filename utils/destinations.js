@@ -0,0 +1,16 @@
+// The countries that we ship to. The tax rates (`data/tax-rates.json`) and the shipping rates
+// (`data/shipping-rates.json`) are maintained per country code, so make sure to add the new rates
+// when you add a country here.
+export const COUNTRIES = {
+  US: 'United States',
+  CA: 'Canada',
+  BE: 'Belgium',
+  FR: 'France',
+  DE: 'Germany',
+  NL: 'Netherlands',
+  GB: 'United Kingdom',
+}
+
+export function isSupportedCountry(country) {
+  return COUNTRIES.hasOwnProperty(country)
+}
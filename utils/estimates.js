@@ -0,0 +1,101 @@
+import { readCollection } from './store'
+import { isSupportedCountry } from './destinations'
+import { specificationsFor, specificationAmount } from './specifications'
+import { selectedOptionsOf } from './selection'
+
+// Estimates the tax and the shipping costs of an order, based on the rate tables in the `data`
+// directory. These are estimates, the real amounts are calculated by the payment provider at
+// checkout. All the weights are in lbs, the same unit as the "Weight" specification.
+
+/**
+ * The shipping weight of a configured product: the weight of the product itself (the "Weight"
+ * specification for the selected options, e.g.: "12.63 lbs" for the Profiler Rack) plus the
+ * `weight` of every selected option that adds a separate item to the box (e.g.: a foot controller).
+ */
+export function calculateWeight(product, selectedOptions, quantity = 1) {
+  const baseWeight = specificationAmount(specificationsFor(product, selectedOptions), 'weight') || 0
+
+  const optionsWeight = product.categoryOptions
+    .reduce((options, category) => options.concat(selectedOptionsOf(category, selectedOptions)), [])
+    .reduce((total, option) => total + (option.weight || 0), 0)
+
+  // Rounded to 2 decimals, otherwise floating point math gives us weights like 18.729999999.
+  return Math.round((baseWeight + optionsWeight) * quantity * 100) / 100
+}
+
+// The most specific rate wins: a postal code prefix wins from a region, a region wins from the
+// country itself. Between two postal code prefixes, the longest one wins.
+function specificityOf(rate) {
+  return (rate.region !== undefined ? 1 : 0) + (rate.postalCodePrefix || '').length
+}
+
+function findTaxRate(rates, destination) {
+  const region = (destination.region || '').trim().toUpperCase()
+  const postalCode = (destination.postalCode || '').replace(/\s/g, '').toUpperCase()
+
+  return rates
+    .filter(
+      (rate) =>
+        rate.country === destination.country &&
+        (rate.region === undefined || rate.region === region) &&
+        (rate.postalCodePrefix === undefined || postalCode.startsWith(rate.postalCodePrefix))
+    )
+    .sort((a, z) => specificityOf(z) - specificityOf(a))[0]
+}
+
+// The first tier that can carry the weight. A `maxWeight` of `null` means that there is no limit.
+function findShippingTier(zones, country, weight) {
+  const zone = zones.find((zone) => zone.countries.includes(country))
+
+  if (zone === undefined) {
+    return undefined
+  }
+
+  return zone.tiers.find((tier) => tier.maxWeight === null || weight <= tier.maxWeight)
+}
+
+/**
+ * Estimate the tax and the shipping costs for a `price` (see `calculatePrice`) that gets shipped to
+ * the `destination`: `{ country, region, postalCode }`. Returns an object with either the
+ * `estimate`, or an `error` that we can show to the customer. All the amounts are in cents.
+ */
+export async function estimateCosts(product, selectedOptions, price, destination) {
+  if (typeof destination !== 'object' || destination === null) {
+    return { estimate: null, error: 'Please enter a destination.' }
+  }
+
+  if (!isSupportedCountry(destination.country)) {
+    return { estimate: null, error: `We don't ship to "${destination.country}" (yet).` }
+  }
+
+  const [taxRates, shippingZones] = await Promise.all([
+    readCollection('tax-rates'),
+    readCollection('shipping-rates'),
+  ])
+
+  const weight = calculateWeight(product, selectedOptions, price.quantity)
+  const taxRate = findTaxRate(taxRates, destination)
+  const shippingTier = findShippingTier(shippingZones, destination.country, weight)
+
+  // A country without rates is a problem with our rate tables, not with the request. But we'd
+  // rather show no estimate than a wrong one.
+  if (taxRate === undefined || shippingTier === undefined) {
+    throw new Error(`There are no tax or shipping rates for "${destination.country}".`)
+  }
+
+  // We only charge tax on the goods, not on the shipping.
+  const tax = Math.round((price.total * taxRate.percent) / 100)
+  const shipping = shippingTier.price
+
+  return {
+    estimate: {
+      subtotal: price.total,
+      tax,
+      taxPercent: taxRate.percent,
+      shipping,
+      weight,
+      total: price.total + tax + shipping,
+    },
+    error: null,
+  }
+}
@@ -0,0 +1,57 @@
+// The financing plans of our financing partner. Every plan has a term (in months) and an APR (the
+// annual percentage rate, e.g.: `7.99` means 7.99%). The partner updates these every quarter, so
+// they live in this table instead of being spread throughout the code.
+export const FINANCING_PLANS = [
+  { months: 12, apr: 0 },
+  { months: 24, apr: 7.99 },
+  { months: 36, apr: 9.99 },
+  { months: 48, apr: 12.99 },
+]
+
+// Our financing partner doesn't finance amounts below this (in cents of the base currency).
+export const MIN_FINANCED_AMOUNT = 50000
+
+/**
+ * Calculate the monthly payment of a loan of `amount` cents, using the standard amortization
+ * formula: `amount * r / (1 - (1 + r) ^ -months)`, where `r` is the monthly interest rate.
+ *
+ * The monthly payment is rounded up to whole cents, this way we never show a payment example that
+ * is lower than what the customer actually pays. The last payment is adjusted instead, so that the
+ * customer pays exactly the amortized total, e.g.: no interest at all at 0% APR.
+ */
+export function calculateFinancing(amount, { months, apr }) {
+  const monthlyRate = apr / 100 / 12
+
+  const exactPayment =
+    monthlyRate === 0
+      ? amount / months
+      : (amount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months))
+
+  const monthlyPayment = Math.ceil(exactPayment)
+  const totalPaid = Math.round(exactPayment * months)
+  const finalPayment = totalPaid - monthlyPayment * (months - 1)
+
+  return {
+    months,
+    apr,
+    amount,
+    monthlyPayment,
+    finalPayment,
+    totalPaid,
+    interest: totalPaid - amount,
+  }
+}
+
+/**
+ * All the financing plans for an `amount`, sorted by term. Returns an empty list when the amount
+ * can't be financed.
+ */
+export function financingOptionsFor(amount) {
+  if (amount < MIN_FINANCED_AMOUNT) {
+    return []
+  }
+
+  return FINANCING_PLANS.map((plan) => calculateFinancing(amount, plan)).sort(
+    (a, z) => a.months - z.months
+  )
+}
@@ -0,0 +1,54 @@
+import { isOptionSelected } from './selection'
+
+// Images can be tagged with the options they show, e.g.: `{ "form-factor": "head" }` for a photo of
+// the Profiler Head. Images without tags are generic and fit every configuration.
+
+// Returns how well the image fits the configuration: the amount of tagged options that are
+// selected, or -1 when the image shows an option that is _not_ selected.
+function scoreImage(image, selectedOptions) {
+  const tags = Object.entries(image.options || {})
+
+  if (
+    tags.some(([categoryId, optionId]) => !isOptionSelected(selectedOptions, categoryId, optionId))
+  ) {
+    return -1
+  }
+
+  return tags.length
+}
+
+/**
+ * The images that fit the configuration, the best matches first. Images that show an option that is
+ * not selected are left out. When none of the images fit (e.g.: we don't have photos of a certain
+ * option yet), we show all the images instead of an empty gallery.
+ */
+export function imagesFor(product, selectedOptions) {
+  const scored = product.images.map((image) => ({
+    image,
+    score: scoreImage(image, selectedOptions),
+  }))
+  const matching = scored.filter(({ score }) => score !== -1)
+
+  return (matching.length > 0 ? matching : scored)
+    .map((item, index) => ({ ...item, index }))
+    .sort((a, z) => z.score - a.score || a.index - z.index) // Keep the catalog order for equal scores.
+    .map(({ image }) => image)
+}
+
+/**
+ * Returns the ID of the image to show after the configuration changed. The current image is kept
+ * when it is still one of the best matches, this way we don't throw away the angle the customer
+ * was looking at without a good reason.
+ */
+export function bestImageIdFor(product, selectedOptions, currentImageId) {
+  const [best, ...rest] = imagesFor(product, selectedOptions)
+  const bestScore = scoreImage(best, selectedOptions)
+
+  const current = [best, ...rest].find((image) => image.id === currentImageId)
+
+  if (current !== undefined && scoreImage(current, selectedOptions) === bestScore) {
+    return current.id
+  }
+
+  return best.id
+}
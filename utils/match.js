@@ -4,14 +4,179 @@
 // you can add Types to ensure that all possible cases (of an enum for example) are implemented
 // (otherwise it won't even compile. This ensures that you don't miss things and nicely makes sure
 // that things are in sync as well!). I can show this to you in the pair programming session 👀!
-export function match(value, options = {}) {
-  if (typeof options !== 'object' || options === null || !options.hasOwnProperty(value)) {
+//
+// It comes in 2 flavours:
+//
+// 1. A lookup table, the keys are the values you want to match. Keep in mind that object keys are
+//    always strings, so `1` and `'1'` are the same key.
+//
+//    match(orientation, {
+//      [Orientation.Horizontal]: 'sm:grid-flow-col',
+//      [Orientation.Vertical]: 'sm:grid-flow-row',
+//    })
+//
+// 2. A list of arms, for everything that can't be a key: predicates, tuples, objects, or values
+//    that shouldn't be turned into a string. The first arm that matches wins.
+//
+//    match(Math.sign(amount), [
+//      when(1, '+ '),
+//      when(-1, '- '),
+//      when((sign) => sign === 0, ''),
+//    ])
+//
+// In both flavours:
+//
+// - An arm wrapped in `lazy` is only called (with the value) when it matches. Other arms are
+//   returned as-is, functions included, this way an arm can be a callback or a component as well.
+// - A `Default` arm is used when nothing else matches, otherwise an error is thrown.
+// - In development, `{ exhaustive: SomeEnum }` verifies that every value of the enum is handled.
+//   This is verified once per options object, so define them outside of the function (or component)
+//   when possible.
+
+// Use as a key in the lookup table (`[Default]: '...'`), or use the `otherwise` helper in the list
+// of arms. A symbol can't collide with any of the values you want to match.
+export const Default = Symbol('Default')
+
+// A wildcard for tuple and object patterns, e.g.: `when([Orientation.Horizontal, Any], '...')`.
+export const Any = Symbol('Any')
+
+const Lazy = Symbol('Lazy')
+
+// An arm that is only computed when it matches, e.g.: `[1]: lazy(() => formatMoney(amount))`.
+export function lazy(arm) {
+  return { [Lazy]: arm }
+}
+
+function resolveArm(arm, value) {
+  return typeof arm === 'object' && arm !== null && arm.hasOwnProperty(Lazy)
+    ? arm[Lazy](value)
+    : arm
+}
+
+/**
+ * An arm for the list flavour of `match`. The `pattern` can be:
+ *
+ * - A function, which is used as a predicate (a "guard").
+ * - An array, which matches a tuple of the same length, element by element.
+ * - An object, which matches when all of its keys match (other keys are ignored).
+ * - `Any`, which matches everything.
+ * - Anything else, which is compared with `Object.is` (no string coercion!).
+ */
+export function when(pattern, arm) {
+  return { pattern, arm }
+}
+
+// The arm that is used when none of the other arms match.
+export function otherwise(arm) {
+  return { pattern: Default, arm }
+}
+
+function matchesPattern(pattern, value) {
+  if (pattern === Any) {
+    return true
+  }
+
+  if (typeof pattern === 'function') {
+    return Boolean(pattern(value))
+  }
+
+  if (Array.isArray(pattern)) {
+    return (
+      Array.isArray(value) &&
+      value.length === pattern.length &&
+      pattern.every((pattern, index) => matchesPattern(pattern, value[index]))
+    )
+  }
+
+  if (typeof pattern === 'object' && pattern !== null) {
+    return (
+      typeof value === 'object' &&
+      value !== null &&
+      Object.keys(pattern).every((key) => matchesPattern(pattern[key], value[key]))
+    )
+  }
+
+  return Object.is(pattern, value)
+}
+
+// Finds the arm for the value, or `undefined` if there is none. Default arms are never returned
+// here, those are handled separately.
+function findArm(value, options) {
+  if (Array.isArray(options)) {
+    return options.find(({ pattern }) => pattern !== Default && matchesPattern(pattern, value))
+  }
+
+  if (options.hasOwnProperty(value)) {
+    return { arm: options[value] }
+  }
+
+  return undefined
+}
+
+function findDefaultArm(options) {
+  if (Array.isArray(options)) {
+    return options.find(({ pattern }) => pattern === Default)
+  }
+
+  if (options.hasOwnProperty(Default)) {
+    return { arm: options[Default] }
+  }
+
+  return undefined
+}
+
+// Symbols can't be used in a template string, and `JSON.stringify` drops them.
+function describeValue(value) {
+  return typeof value === 'symbol' ? String(value) : JSON.stringify(value)
+}
+
+function describe(options) {
+  return (Array.isArray(options)
+    ? options.filter(({ pattern }) => pattern !== Default).map(({ pattern }) => pattern)
+    : Object.keys(options)
+  )
+    .map((value) => (typeof value === 'function' ? value.toString() : describeValue(value)))
+    .join(',')
+}
+
+// The options objects that we already verified, the arms don't change after they are created.
+const verifiedOptions = new WeakSet()
+
+// We only verify this in development, in production we don't want to pay for it (nor crash on it).
+function verifyExhaustiveness(options, enumeration) {
+  if (verifiedOptions.has(options)) {
+    return
+  }
+
+  const unhandled = Object.values(enumeration).filter(
+    (value) => findArm(value, options) === undefined
+  )
+
+  if (unhandled.length > 0) {
+    throw new Error(
+      `Not all values are handled, missing: ${unhandled.map(describeValue).join(',')}`
+    )
+  }
+
+  verifiedOptions.add(options)
+}
+
+export function match(value, options = {}, { exhaustive = null } = {}) {
+  if (typeof options !== 'object' || options === null) {
+    throw new Error(`Tried to handle "${String(value)}" but no options were provided.`)
+  }
+
+  if (exhaustive !== null && process.env.NODE_ENV !== 'production') {
+    verifyExhaustiveness(options, exhaustive)
+  }
+
+  const match = findArm(value, options) || findDefaultArm(options)
+
+  if (match === undefined) {
     throw new Error(
-      `Tried to handle "${value}" but the only handled values are: ${Object.keys(options)
-        .map((value) => JSON.stringify(value))
-        .join(',')}`
+      `Tried to handle "${String(value)}" but the only handled values are: ${describe(options)}`
     )
   }
 
-  return options[value]
+  return resolveArm(match.arm, value)
 }
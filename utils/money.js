@@ -0,0 +1,147 @@
+// All the prices in the catalog are stored in cents in the base currency (USD). We convert them to
+// the currency of the customer using a local table of exchange rates. In the real world these rates
+// would come from a back-end that updates them every day, but the shape would be the same.
+
+// Emulating an enum.
+export const Currency = { USD: 'USD', EUR: 'EUR', GBP: 'GBP' }
+
+export const BASE_CURRENCY = Currency.USD
+
+// How much 1 unit of the base currency is worth in the other currencies.
+const EXCHANGE_RATES = {
+  [Currency.USD]: 1,
+  [Currency.EUR]: 0.92,
+  [Currency.GBP]: 0.79,
+}
+
+// The currency we use when we can't figure out the currency of the customer based on the region of
+// their locale. E.g.: `de-AT` and `de-DE` are both in the euro zone.
+const CURRENCY_PER_REGION = {
+  US: Currency.USD,
+  GB: Currency.GBP,
+  AT: Currency.EUR,
+  BE: Currency.EUR,
+  DE: Currency.EUR,
+  ES: Currency.EUR,
+  FI: Currency.EUR,
+  FR: Currency.EUR,
+  IE: Currency.EUR,
+  IT: Currency.EUR,
+  LU: Currency.EUR,
+  NL: Currency.EUR,
+  PT: Currency.EUR,
+}
+
+// Some browsers only send the language (e.g.: `de`) without a region.
+const CURRENCY_PER_LANGUAGE = {
+  de: Currency.EUR,
+  es: Currency.EUR,
+  fr: Currency.EUR,
+  it: Currency.EUR,
+  nl: Currency.EUR,
+  pt: Currency.EUR,
+}
+
+const DEFAULT_LOCALE = 'en-US'
+
+// The name of the cookie that stores the currency that the customer explicitly picked.
+export const CURRENCY_COOKIE = 'currency'
+
+export function isSupportedCurrency(currency) {
+  return EXCHANGE_RATES.hasOwnProperty(currency)
+}
+
+/**
+ * Convert an amount in cents in the base currency to an amount in cents in the given currency. We
+ * round to whole cents, so that we keep working with integers.
+ */
+export function convert(cents, currency) {
+  if (!isSupportedCurrency(currency)) {
+    throw new Error(`Tried to convert to "${currency}" but this currency is not supported.`)
+  }
+
+  return Math.round(cents * EXCHANGE_RATES[currency])
+}
+
+/**
+ * Create a function that converts and formats an amount in cents (in the base currency). Creating
+ * an Intl.NumberFormat is not free, therefore we create it once and re-use it.
+ */
+export function createMoneyFormatter(locale, currency) {
+  const formatter = new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 0,
+  })
+
+  return (cents) => formatter.format(convert(cents, currency) / 100)
+}
+
+function parseCookies(header = '') {
+  return Object.assign(
+    {},
+    ...header
+      .split(';')
+      .filter((cookie) => cookie.includes('='))
+      .map((cookie) => {
+        const [name, ...value] = cookie.trim().split('=')
+        return { [name]: decodeURIComponent(value.join('=')) }
+      })
+  )
+}
+
+// E.g.: `nl-BE,nl;q=0.9,en-US;q=0.8,en;q=0.7` -> ['nl-BE', 'nl', 'en-US', 'en']
+function parseAcceptLanguage(header = '') {
+  return header
+    .split(',')
+    .map((part) => {
+      const [locale, quality = 'q=1'] = part.trim().split(';')
+      return { locale, quality: Number(quality.replace('q=', '')) }
+    })
+    .filter(({ locale }) => locale !== '' && locale !== '*')
+    .sort((a, z) => z.quality - a.quality)
+    .map(({ locale }) => locale)
+}
+
+// The header is sent by the browser, but we can't trust it. An invalid locale would make the
+// Intl.NumberFormat constructor throw.
+function isValidLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf(locale).length > 0
+  } catch (error) {
+    return false
+  }
+}
+
+function currencyForLocale(locale) {
+  const [language, region] = locale.split('-')
+
+  if (region !== undefined && CURRENCY_PER_REGION.hasOwnProperty(region.toUpperCase())) {
+    return CURRENCY_PER_REGION[region.toUpperCase()]
+  }
+
+  if (CURRENCY_PER_LANGUAGE.hasOwnProperty(language.toLowerCase())) {
+    return CURRENCY_PER_LANGUAGE[language.toLowerCase()]
+  }
+
+  return BASE_CURRENCY
+}
+
+/**
+ * Figure out the locale and currency of the customer, based on the incoming request. A currency
+ * that the customer picked explicitly (stored in a cookie) always wins from the `Accept-Language`
+ * header.
+ */
+export function getLocalization(req) {
+  const [locale = DEFAULT_LOCALE] = parseAcceptLanguage(req.headers['accept-language']).filter(
+    isValidLocale
+  )
+  const { [CURRENCY_COOKIE]: preferredCurrency } = parseCookies(req.headers.cookie)
+
+  return {
+    locale,
+    currency: isSupportedCurrency(preferredCurrency)
+      ? preferredCurrency
+      : currencyForLocale(locale),
+  }
+}
@@ -0,0 +1,85 @@
+import crypto from 'crypto'
+import { readCollection, updateCollection } from './store'
+import { calculatePrice } from './pricing'
+
+function generateOrderId() {
+  return crypto.randomBytes(8).toString('hex')
+}
+
+/**
+ * Store a new order. The price is always (re)calculated here, we never trust a price that is sent
+ * to us. The configuration should already be validated with `validateConfiguration`.
+ */
+export async function createOrder(product, selectedOptions, currency, promotion = null) {
+  const { lineItems, discounts, total } = calculatePrice(product, selectedOptions, { promotion })
+
+  const order = {
+    id: generateOrderId(),
+    productId: product.id,
+    selectedOptions,
+    // The prices are stored in the base currency, the currency is the one the customer saw while
+    // placing the order. The conversion happens when the payment is processed.
+    lineItems,
+    discounts,
+    total,
+    currency,
+    // We keep the promotion itself (instead of the promo code), this way an amended order keeps the
+    // discount, even when the promo code expired in the meantime.
+    promotion,
+    createdAt: new Date().toISOString(),
+  }
+
+  await updateCollection('orders', (orders) => [...orders, order])
+
+  return order
+}
+
+// Returns `null` when the order doesn't exist.
+export async function getOrder(id) {
+  const orders = await readCollection('orders')
+  return orders.find((order) => order.id === id) || null
+}
+
+/**
+ * Amend an existing order with a new configuration. The price is recalculated, and the previous
+ * configuration is kept in the `amendments` of the order so that we know what changed (and when).
+ * The configuration should already be validated with `validateConfiguration`. Returns `null` when
+ * the order doesn't exist (anymore).
+ */
+export async function updateOrder(order, product, selectedOptions) {
+  const { lineItems, discounts, total } = calculatePrice(product, selectedOptions, {
+    promotion: order.promotion || null,
+  })
+
+  let updated = null
+
+  // We amend the stored order instead of the `order` we received, another amendment could have been
+  // saved in the meantime.
+  await updateCollection('orders', (orders) =>
+    orders.map((existing) => {
+      if (existing.id !== order.id) {
+        return existing
+      }
+
+      updated = {
+        ...existing,
+        selectedOptions,
+        lineItems,
+        discounts,
+        total,
+        amendments: [
+          ...(existing.amendments || []),
+          {
+            selectedOptions: existing.selectedOptions,
+            total: existing.total,
+            amendedAt: new Date().toISOString(),
+          },
+        ],
+      }
+
+      return updated
+    })
+  )
+
+  return updated
+}
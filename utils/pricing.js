@@ -0,0 +1,179 @@
+import { findViolations } from './constraints'
+import { isOptionSelected, isOptionUnavailable, selectedOptionsOf } from './selection'
+
+// All the prices in the catalog are integers in cents. This module is used by the configurator (to
+// show the price while you are configuring) and by the API (to calculate the price that we actually
+// charge). A price calculated in the browser can't be trusted, but sharing the code ensures that
+// both always agree.
+
+// Nobody needs 100 profilers at once, and if they do, they should talk to sales.
+export const MAX_QUANTITY = 99
+
+// A bundle applies when all of its options are selected, e.g.: `{ "power-amp": "powered",
+// "foot-controller": "remote" }`.
+function isBundleApplicable(bundle, selectedOptions) {
+  return Object.entries(bundle.options).every(([categoryId, optionId]) =>
+    isOptionSelected(selectedOptions, categoryId, optionId)
+  )
+}
+
+// The tier with the highest minimum quantity that we reached, or `undefined` if we didn't reach
+// any of them.
+function quantityTierFor(product, quantity) {
+  return (product.quantityTiers || [])
+    .filter((tier) => quantity >= tier.minQuantity)
+    .sort((a, z) => z.minQuantity - a.minQuantity)[0]
+}
+
+// Percentages are rounded to whole cents, in favor of the customer. These are discounts, so we
+// round up.
+function percentageOf(amount, percentOff) {
+  return Math.ceil((amount * percentOff) / 100)
+}
+
+/**
+ * Calculate the price of a configured product. The `selectedOptions` is a lookup table of the
+ * selected option ID (or IDs, see `utils/selection.js`) per category ID. This assumes that the
+ * configuration is valid, you can use the `validateConfiguration` function to verify that.
+ *
+ * - The `lineItems` are the price of a single unit: the base price, the selected options and the
+ *   bundle discounts (as negative prices).
+ * - The `discounts` apply to all the units together: the quantity tier and the promotion (a
+ *   validated promo code, see `utils/promotions.js`).
+ */
+export function calculatePrice(product, selectedOptions, { quantity = 1, promotion = null } = {}) {
+  const lineItems = [
+    { id: 'base', title: product.name, price: product.basePrice },
+    // A `multiple` category results in a line item per selected option (or none at all).
+    ...[].concat(
+      ...product.categoryOptions.map((category) =>
+        selectedOptionsOf(category, selectedOptions).map((option) => ({
+          id: `${category.id}:${option.id}`,
+          categoryId: category.id,
+          optionId: option.id,
+          title: `${category.title}: ${option.title}`,
+          price: option.price,
+        }))
+      )
+    ),
+    ...(product.bundles || [])
+      .filter((bundle) => isBundleApplicable(bundle, selectedOptions))
+      .map((bundle) => ({
+        id: `bundle:${bundle.id}`,
+        title: bundle.title,
+        price: -bundle.discount,
+      })),
+  ]
+
+  const unitPrice = lineItems.reduce((total, lineItem) => total + lineItem.price, 0)
+  const subtotal = unitPrice * quantity
+
+  const discounts = []
+
+  const tier = quantityTierFor(product, quantity)
+  if (tier !== undefined) {
+    discounts.push({
+      id: 'quantity',
+      title: `${tier.percentOff}% off when you buy ${tier.minQuantity} or more`,
+      amount: percentageOf(subtotal, tier.percentOff),
+    })
+  }
+
+  if (promotion !== null) {
+    const remaining = subtotal - discounts.reduce((total, discount) => total + discount.amount, 0)
+
+    discounts.push({
+      id: `promotion:${promotion.code}`,
+      title: promotion.title,
+      // A fixed amount can never make the price negative.
+      amount:
+        promotion.percentOff !== undefined
+          ? percentageOf(remaining, promotion.percentOff)
+          : Math.min(promotion.amountOff, remaining),
+    })
+  }
+
+  const total = subtotal - discounts.reduce((total, discount) => total + discount.amount, 0)
+
+  return { lineItems, unitPrice, quantity, subtotal, discounts, total }
+}
+
+// Returns the problem with the option, or `null` when we can sell it (with the other options).
+function validateOption(category, optionId, selectedOptions) {
+  const option = category.options.find((option) => option.id === optionId)
+
+  if (option === undefined) {
+    return `Option "${optionId}" does not exist in category "${category.id}".`
+  }
+
+  if (isOptionUnavailable(option, selectedOptions)) {
+    return `Option "${optionId}" in category "${category.id}" is currently unavailable.`
+  }
+
+  // This is a problem with our catalog, not with the request. But we'd rather refuse the order than
+  // charge a wrong amount.
+  if (!Number.isInteger(option.price)) {
+    throw new Error(`The price of option "${optionId}" should be an integer (in cents).`)
+  }
+
+  return null
+}
+
+/**
+ * Verify that the `selectedOptions` describe a configuration that we can actually sell. Instead of
+ * throwing on the first problem, we return a list of all the problems. This way the consumer can
+ * show all of them at once. An empty list means that the configuration is valid.
+ */
+export function validateConfiguration(product, selectedOptions) {
+  if (typeof selectedOptions !== 'object' || selectedOptions === null) {
+    return ['The selected options should be an object of option IDs per category ID.']
+  }
+
+  const errors = []
+
+  for (let category of product.categoryOptions) {
+    // In a `multiple` category, nothing (an empty list) is a valid selection as well. A missing
+    // category means the same, this way configurations from before the category existed (e.g.: a
+    // stored order) stay valid.
+    if (category.multiple) {
+      const { [category.id]: optionIds = [] } = selectedOptions
+
+      if (!Array.isArray(optionIds)) {
+        errors.push(`The selected options in category "${category.id}" should be a list.`)
+        continue
+      }
+
+      errors.push(
+        ...optionIds
+          .map((optionId) => validateOption(category, optionId, selectedOptions))
+          .filter(Boolean)
+      )
+      continue
+    }
+
+    const optionId = selectedOptions[category.id]
+
+    if (optionId === undefined) {
+      errors.push(`No option selected in category "${category.id}".`)
+    } else {
+      const error = validateOption(category, optionId, selectedOptions)
+
+      if (error !== null) {
+        errors.push(error)
+      }
+    }
+  }
+
+  for (let categoryId of Object.keys(selectedOptions)) {
+    if (!product.categoryOptions.some((category) => category.id === categoryId)) {
+      errors.push(`Category "${categoryId}" does not exist.`)
+    }
+  }
+
+  // The rules only make sense when every category has a (valid) option selected.
+  if (errors.length > 0) {
+    return errors
+  }
+
+  return findViolations(product, selectedOptions).map((rule) => rule.message)
+}
@@ -0,0 +1,43 @@
+import { readCollection } from './store'
+
+// Promo codes are maintained by marketing in the `data/promo-codes.json` file. A promotion has
+// either a `percentOff` or an `amountOff` (in cents), and can optionally be limited in time
+// (`validFrom` / `validUntil`) or to certain products (`productIds`).
+
+/**
+ * Find the promotion for a promo code. Returns an object with either the `promotion`, or an `error`
+ * that we can show to the customer. Promo codes are case insensitive.
+ */
+export async function findPromotion(code, productId, now = new Date()) {
+  if (typeof code !== 'string' || code.trim() === '') {
+    return { promotion: null, error: 'Please enter a promo code.' }
+  }
+
+  const promotions = await readCollection('promo-codes')
+  const promotion = promotions.find(
+    (promotion) => promotion.code.toUpperCase() === code.trim().toUpperCase()
+  )
+
+  if (promotion === undefined) {
+    return { promotion: null, error: `Promo code "${code}" does not exist.` }
+  }
+
+  if (
+    (promotion.validFrom !== undefined && now < new Date(promotion.validFrom)) ||
+    (promotion.validUntil !== undefined && now >= new Date(promotion.validUntil))
+  ) {
+    return { promotion: null, error: `Promo code "${code}" is not valid at the moment.` }
+  }
+
+  if (promotion.productIds !== undefined && !promotion.productIds.includes(productId)) {
+    return { promotion: null, error: `Promo code "${code}" is not valid for this product.` }
+  }
+
+  // Only expose what is needed to calculate the price.
+  const { title, percentOff, amountOff } = promotion
+
+  return {
+    promotion: { code: promotion.code, title, percentOff, amountOff },
+    error: null,
+  }
+}
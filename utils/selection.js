@@ -0,0 +1,66 @@
+// Most categories have a single selected option, the `selectedOptions` contains its ID. Categories
+// with `"multiple": true` (e.g.: accessories) can have zero or more selected options, for those the
+// `selectedOptions` contains a list of IDs instead:
+//
+// { "form-factor": "head", "accessories": ["gig-bag", "cables"] }
+//
+// These helpers work for both, so that the rest of the code doesn't have to care.
+
+export function isOptionSelected(selectedOptions, categoryId, optionId) {
+  return [].concat(selectedOptions[categoryId]).includes(optionId)
+}
+
+// An option can be `"unavailable": true` (e.g.: out of stock), or only unavailable in combination
+// with other options, with the same shape as the `options` of a bundle. E.g.: the Powered option
+// with `"unavailable": { "form-factor": "rack" }` is backordered for the Profiler Rack only.
+export function isOptionUnavailable(option, selectedOptions) {
+  if (typeof option.unavailable === 'object' && option.unavailable !== null) {
+    return Object.entries(option.unavailable).every(([categoryId, optionId]) =>
+      isOptionSelected(selectedOptions, categoryId, optionId)
+    )
+  }
+
+  return Boolean(option.unavailable)
+}
+
+// The selected options (the option objects, not the IDs) of a category, in the order of the
+// catalog.
+export function selectedOptionsOf(category, selectedOptions) {
+  return category.options.filter((option) =>
+    isOptionSelected(selectedOptions, category.id, option.id)
+  )
+}
+
+// The value of a `multiple` category after (de)selecting the option.
+export function toggleOption(optionIds, optionId) {
+  return optionIds.includes(optionId)
+    ? optionIds.filter((id) => id !== optionId)
+    : [...optionIds, optionId]
+}
+
+// The value of a native `<select>` for the category, a `<select multiple>` for a `multiple`
+// category.
+export function selectValue(category, select) {
+  return category.multiple
+    ? Array.from(select.selectedOptions, (option) => option.value)
+    : select.value
+}
+
+/**
+ * The title of the selected option, or the titles of the selected options of a `multiple` category.
+ * The `options` are the options of the category by ID (see `createCategoryWithOptionsLookup`).
+ */
+export function selectionTitle(options, optionIds) {
+  const ids = [].concat(optionIds).filter((id) => id !== undefined)
+
+  // In the order of the catalog, not in the order in which they were selected.
+  const titles = Object.values(options)
+    .filter((option) => ids.includes(option.id))
+    .map((option) => option.title)
+
+  // A stored configuration (e.g.: an order) can contain options that were removed from the catalog
+  // since, we still want to show those.
+  const removed = ids.filter((id) => options[id] === undefined)
+
+  return titles.length + removed.length > 0 ? [...titles, ...removed].join(', ') : 'None'
+}
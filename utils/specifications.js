@@ -0,0 +1,83 @@
+import { selectedOptionsOf } from './selection'
+
+// The `specifications` of a product describe the default configuration. Options can change them
+// (e.g.: the Profiler Rack is wider than the Profiler Head), with a list of `specifications` of
+// their own. Every entry either replaces the value, or adjusts the number in it:
+//
+// {
+//   "specifications": [
+//     { "id": "width", "value": "19”" },
+//     { "id": "weight", "adjust": 0.9 }
+//   ]
+// }
+
+// The number and the unit of a value, e.g.: `'11.73 lbs'` -> `{ amount: 11.73, unit: ' lbs' }`.
+// The value can also be a plain number (e.g.: the amount of amp models).
+function parseValue(value) {
+  if (typeof value === 'number') {
+    return { amount: value, unit: null }
+  }
+
+  const [, amount = null, unit = ''] = /^(-?\d+(?:\.\d+)?)(.*)$/.exec(value) || []
+
+  return { amount: amount === null ? null : parseFloat(amount), unit }
+}
+
+function adjustValue(value, adjustment, specificationId) {
+  const { amount, unit } = parseValue(value)
+
+  if (amount === null) {
+    throw new Error(
+      `Can't adjust the "${specificationId}" specification, "${value}" is not a number.`
+    )
+  }
+
+  // Rounded to 2 decimals, otherwise floating point math gives us values like 12.629999999.
+  const adjusted = Math.round((amount + adjustment) * 100) / 100
+
+  return unit === null ? adjusted : `${adjusted}${unit}`
+}
+
+/**
+ * The specifications of a configured product. Every specification has the `value` for the selected
+ * options, the `defaultValue` from the catalog, and `isChanged` when the selected options changed
+ * it.
+ *
+ * The replacements are applied first, in the order of the categories (the last one wins). Then all
+ * the adjustments are added up. This way an option can change the dimensions of a product, while
+ * another option still adds its weight.
+ */
+export function specificationsFor(product, selectedOptions) {
+  const changes = product.categoryOptions
+    .reduce((options, category) => options.concat(selectedOptionsOf(category, selectedOptions)), [])
+    .reduce((changes, option) => changes.concat(option.specifications || []), [])
+
+  return product.specifications.map((specification) => {
+    const own = changes.filter((change) => change.id === specification.id)
+
+    const replaced = own
+      .filter((change) => change.value !== undefined)
+      .reduce((_, change) => change.value, specification.value)
+
+    const value = own
+      .filter((change) => change.adjust !== undefined)
+      .reduce((value, change) => adjustValue(value, change.adjust, specification.id), replaced)
+
+    return {
+      ...specification,
+      value,
+      defaultValue: specification.value,
+      isChanged: value !== specification.value,
+    }
+  })
+}
+
+/**
+ * The number of a specification, e.g.: `11.73` for the "Weight" specification. Returns `null` when
+ * the product doesn't have the specification, or when it isn't a number.
+ */
+export function specificationAmount(specifications, id) {
+  const specification = specifications.find((specification) => specification.id === id)
+
+  return specification === undefined ? null : parseValue(specification.value).amount
+}
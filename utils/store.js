@@ -0,0 +1,70 @@
+import fs from 'fs'
+import path from 'path'
+
+// A tiny file based "database". Every collection is a single JSON file inside of the `data`
+// directory. This is obviously not something you want to use with a lot of traffic (there are no
+// indexes, a write rewrites the whole file, ...), but it has the same async API that a real
+// database client would have. This means that swapping it for a real database later on only touches
+// this file.
+const DATA_DIRECTORY = path.join(process.cwd(), 'data')
+
+function collectionPath(collection) {
+  return path.join(DATA_DIRECTORY, `${collection}.json`)
+}
+
+export async function readCollection(collection) {
+  try {
+    const contents = await fs.promises.readFile(collectionPath(collection), 'utf8')
+    return JSON.parse(contents)
+  } catch (error) {
+    // A collection that doesn't exist yet is just an empty collection.
+    if (error.code === 'ENOENT') {
+      return []
+    }
+
+    throw error
+  }
+}
+
+// A crash halfway through writing a file would leave a corrupt collection behind, and every request
+// after that would fail. Instead, we write to a temporary file first and rename it, a rename
+// replaces the file in one go.
+async function writeCollection(collection, items) {
+  const file = collectionPath(collection)
+  const temporaryFile = `${file}.${process.pid}.tmp`
+
+  await fs.promises.mkdir(DATA_DIRECTORY, { recursive: true })
+  await fs.promises.writeFile(temporaryFile, JSON.stringify(items, null, 2) + '\n')
+  await fs.promises.rename(temporaryFile, file)
+}
+
+// The pending updates per collection. Next.js bundles every API route separately (each with its
+// own copy of this module), so the queues live on `global` to be shared between all of them.
+const queues = global.collectionQueues || (global.collectionQueues = new Map())
+
+/**
+ * Read the collection, `update` it and write the result back. Two requests that update the same
+ * collection at the same time would both read the same items, and the last write would lose the
+ * changes of the other one. That's why the updates of a collection are queued, every update reads
+ * the result of the previous one.
+ *
+ * The `update` function receives the items and returns the new items (or a promise of them).
+ * Resolves with the new items.
+ */
+export function updateCollection(collection, update) {
+  const previous = queues.get(collection) || Promise.resolve()
+
+  // A failed update shouldn't block the updates after it, its caller already gets the error.
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const items = await update(await readCollection(collection))
+      await writeCollection(collection, items)
+
+      return items
+    })
+
+  queues.set(collection, next)
+
+  return next
+}